@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Batch-converts a folder of FBX animations (Mixamo, Unreal, CMU, ...) into
+ * pre-retargeted .vrma files, so the app doesn't have to retarget them on every load.
+ *
+ * Usage:
+ *   node scripts/convert-animations.js <inputDir> <outputDir> [--rig <profile>] [--unit-scale <n>] [--gltf]
+ *
+ *   --rig         A key of rigProfiles, or "auto" (default) to detect it per file
+ *   --unit-scale  Source units to meters; detected from the hips height by default
+ *   --gltf        Write plain glTF animation (.glb) without the VRMC_vrm_animation extension
+ */
+import { readdir, readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { retargetAnimation } from "../src/utils/retargetAnimation.js";
+import { createReferenceHumanoid } from "../src/utils/createReferenceHumanoid.js";
+import { exportVRMAnimation } from "../src/utils/exportVRMAnimation.js";
+import { resolveRigProfile } from "../src/utils/rigProfiles.js";
+
+function parseArgs(argv) {
+  const args = { positional: [], rig: "auto", unitScale: undefined, gltf: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--rig") args.rig = argv[++i];
+    else if (arg === "--unit-scale") args.unitScale = Number(argv[++i]);
+    else if (arg === "--gltf") args.gltf = true;
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+async function convertFile(inputPath, outputDir, args) {
+  const data = await readFile(inputPath);
+  const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  const asset = new FBXLoader().parse(buffer, path.dirname(inputPath) + "/");
+
+  const rig = resolveRigProfile(args.rig, asset);
+  const reference = createReferenceHumanoid(asset, rig, { unitScale: args.unitScale });
+  const clip = retargetAnimation(asset, reference, rig);
+  clip.name = path.basename(inputPath, path.extname(inputPath));
+
+  const glb = exportVRMAnimation(clip, reference, { vrmExtension: !args.gltf });
+  const outputPath = path.join(outputDir, `${clip.name}${args.gltf ? ".glb" : ".vrma"}`);
+  await writeFile(outputPath, new Uint8Array(glb));
+  return { outputPath, rig: rig.name, duration: clip.duration };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [inputDir, outputDir] = args.positional;
+  if (!inputDir || !outputDir) {
+    console.error(
+      "Usage: node scripts/convert-animations.js <inputDir> <outputDir> [--rig <profile>] [--unit-scale <n>] [--gltf]"
+    );
+    process.exit(1);
+  }
+
+  await mkdir(outputDir, { recursive: true });
+  const files = (await readdir(inputDir)).filter((file) =>
+    file.toLowerCase().endsWith(".fbx")
+  );
+
+  let failures = 0;
+  for (const file of files) {
+    try {
+      const { outputPath, rig, duration } = await convertFile(
+        path.join(inputDir, file),
+        outputDir,
+        args
+      );
+      console.log(`${file} -> ${outputPath} (${rig} rig, ${duration.toFixed(2)}s)`);
+    } catch (error) {
+      failures++;
+      console.error(`${file}: ${error.message}`);
+    }
+  }
+
+  console.log(`Converted ${files.length - failures} of ${files.length} file(s).`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,174 @@
+import { loadFBXAsset, retargetAnimation } from "./utils/retargetAnimation.js";
+import {
+  loadVRMAnimationAsset,
+  createVRMAnimationClipFor,
+} from "./utils/loadVRMAnimation.js";
+import { loadBVHAsset, retargetBVHAnimation } from "./utils/loadBVHAnimation.js";
+
+/**
+ * Animation formats by file extension: how to load the file once, and how to
+ * turn the loaded asset into a clip for a particular VRM.
+ * Anything not listed is treated as FBX, retargeted with an automatically detected rig profile.
+ */
+const animationFormats = {
+  ".fbx": { load: loadFBXAsset, convert: retargetAnimation },
+  ".vrma": { load: loadVRMAnimationAsset, convert: createVRMAnimationClipFor },
+  ".bvh": { load: loadBVHAsset, convert: retargetBVHAnimation },
+};
+
+/**
+ * Picks the format for an animation url based on its file extension.
+ * @param {string} url - The animation file url.
+ * @returns {{load: Function, convert: Function}}
+ */
+function getAnimationFormat(url) {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  const extension = path.slice(path.lastIndexOf("."));
+  return animationFormats[extension] ?? animationFormats[".fbx"];
+}
+
+/**
+ * Caches loaded animation files by URL, so switching models only redoes the
+ * cheap per-VRM retarget instead of downloading and parsing every file again.
+ */
+export class AnimationAssetCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency=4] - How many files loadClips downloads at once.
+   */
+  constructor({ concurrency = 4 } = {}) {
+    if (!(concurrency >= 1)) {
+      throw new Error("AnimationAssetCache: concurrency must be at least 1.");
+    }
+    this.concurrency = concurrency;
+    // url -> Promise of the loaded asset, shared by concurrent requests for the same file
+    this.assets = new Map();
+  }
+
+  /**
+   * Loads an animation file, or returns the cached asset if it was loaded before.
+   * Failed loads aren't cached, so they can be retried.
+   * @param {string} url - The animation file url.
+   * @param {function(ProgressEvent): void} [onProgress] - Download progress callback.
+   * @returns {Promise<object>} The loaded asset (an FBX group, BVH group or VRMAnimation).
+   */
+  load(url, onProgress) {
+    return this.cached(url, () => getAnimationFormat(url).load(url, onProgress));
+  }
+
+  /**
+   * Loads a JSON file that goes with the animations, e.g. a clip's expression curves,
+   * or returns the cached result. Failed loads aren't cached.
+   * @param {string} url - The JSON file url.
+   * @returns {Promise<object>} The parsed JSON.
+   */
+  loadJSON(url) {
+    return this.cached(url, async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Could not load ${url} (${response.status})`);
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * Returns the cached promise for a url, or starts loading it; evicts it again if it fails.
+   * @private
+   */
+  cached(url, load) {
+    if (!this.assets.has(url)) {
+      const promise = load();
+      this.assets.set(url, promise);
+      promise.catch(() => {
+        if (this.assets.get(url) === promise) this.assets.delete(url);
+      });
+    }
+    return this.assets.get(url);
+  }
+
+  /**
+   * Loads an animation file (through the cache) and converts it for a VRM.
+   * @param {string} url - The animation file url.
+   * @param {object} vrm - The target VRM.
+   * @param {function(ProgressEvent): void} [onProgress] - Download progress callback.
+   * @returns {Promise<THREE.AnimationClip>} A new clip for the VRM.
+   */
+  async loadClip(url, vrm, onProgress) {
+    const asset = await this.load(url, onProgress);
+    return getAnimationFormat(url).convert(asset, vrm);
+  }
+
+  /**
+   * Loads several animations for a VRM, downloading up to `concurrency` files at once.
+   * Files that fail to load are logged and left out of the result.
+   * @param {object} animationFiles - An object mapping animation names to their file paths,
+   *   or to `{ url, ... }` objects carrying per-clip options.
+   * @param {object} vrm - The target VRM.
+   * @param {function({loaded: number, total: number, progress: number}): void} [onProgress] -
+   *   Called as files download and finish. `loaded`/`total` count files; `progress` (0-1)
+   *   also includes the downloaded fraction of files still in flight.
+   * @returns {Promise<Map<string, THREE.AnimationClip>>} The clips by animation name, in the order given.
+   */
+  async loadClips(animationFiles, vrm, onProgress) {
+    const entries = Object.entries(animationFiles);
+    const fractions = new Array(entries.length).fill(0);
+    let loaded = 0;
+
+    const report = () => {
+      if (!onProgress) return;
+      const sum = fractions.reduce((a, b) => a + b, 0);
+      onProgress({
+        loaded,
+        total: entries.length,
+        progress: entries.length > 0 ? sum / entries.length : 1,
+      });
+    };
+
+    const clips = new Array(entries.length).fill(null);
+    let next = 0;
+    const worker = async () => {
+      while (next < entries.length) {
+        const index = next++;
+        const [name, file] = entries[index];
+        const url = typeof file === "string" ? file : file.url;
+        try {
+          const clip = await this.loadClip(url, vrm, (event) => {
+            if (!event.lengthComputable || event.total === 0) return;
+            fractions[index] = event.loaded / event.total;
+            report();
+          });
+          // Store the clip with its original name for reference
+          clip.name = name;
+          clips[index] = clip;
+        } catch (error) {
+          console.error(
+            `AnimationAssetCache: Failed to load animation ${name}:`,
+            error
+          );
+        }
+        fractions[index] = 1;
+        loaded++;
+        report();
+      }
+    };
+
+    const workerCount = Math.min(this.concurrency, entries.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    const result = new Map();
+    entries.forEach(([name], index) => {
+      if (clips[index]) result.set(name, clips[index]);
+    });
+    return result;
+  }
+
+  /**
+   * Drops one file from the cache, or every file if no url is given.
+   * @param {string} [url] - The animation file url.
+   */
+  clear(url) {
+    if (url === undefined) this.assets.clear();
+    else this.assets.delete(url);
+  }
+}
@@ -1,5 +1,17 @@
 import * as THREE from "three";
-import { loadMixamoAnimation } from "./utils/loadMixamoAnimation.js";
+import { exportVRMAnimation } from "./utils/exportVRMAnimation.js";
+import { applyRootMotionOptions } from "./utils/rootMotion.js";
+import {
+  applyClipExpressions,
+  getClipExpressionTarget,
+} from "./utils/expressionTracks.js";
+import { AnimationAssetCache } from "./AnimationAssetCache.js";
+import { AnimationStateMachine } from "./AnimationStateMachine.js";
+import { AnimationLayer } from "./AnimationLayer.js";
+import { IdleScheduler } from "./IdleScheduler.js";
+import { defaultIdleSchedule } from "./idleSchedule.js";
+
+const _rootMotionSample = new THREE.Vector3();
 
 /**
  * Manages loading and playback of animations for a VRM model.
@@ -7,11 +19,24 @@ import { loadMixamoAnimation } from "./utils/loadMixamoAnimation.js";
 export class AnimationController {
   /**
    * @param {object} vrm - The VRM model instance.
-   * @param {object} animationFiles - An object mapping animation names to their file paths.
+   * @param {object} animationFiles - An object mapping animation names to their file paths, or to
+   *   `{ url, rootMotion, fixLoopSeam, events, expressions, lookAt }` objects to set root-motion
+   *   options for that clip (see applyRootMotionOptions), the clip events it fires (see update),
+   *   expression curves it carries: the url of a sidecar JSON file or the curves themselves
+   *   (see utils/expressionTracks.js), and how much head tracking it allows (see getLookAtWeight).
+   * @param {object} [idleSchedule] - Which animations the idle loop plays and for how long (see IdleScheduler).
+   * @param {AnimationAssetCache} [assetCache] - Where loaded animation files are kept. Share one
+   *   between controllers so switching models doesn't download and parse every file again.
    */
-  constructor(vrm, animationFiles) {
+  constructor(
+    vrm,
+    animationFiles,
+    idleSchedule = defaultIdleSchedule,
+    assetCache = new AnimationAssetCache()
+  ) {
     this.vrm = vrm;
     this.animationFiles = animationFiles;
+    this.assetCache = assetCache;
     this.mixer = new THREE.AnimationMixer(vrm.scene);
 
     this.animations = new Map();
@@ -20,58 +45,267 @@ export class AnimationController {
 
     // --- Idle Loop Properties ---
     this.idleLoopActive = false;
-    this.idleTimeout = null;
+    this.idleScheduler = new IdleScheduler(this, idleSchedule);
     // Define which animations are part of the idle cycle
-    this.idleAnimations = [
-      "idle",
-      "idle_happy",
-      "idle_happy2",
-      "bored",
-      "looking",
-    ];
+    this.idleAnimations = this.idleScheduler.animationNames;
+    // Gestures that play once and then return to idle when picked from the GUI
+    this.oneShotAnimations = ["bow", "acknowledging", "victory"];
+
+    // --- State Machine ---
+    this.stateMachine = null;
+
+    // --- One-shot Playback ---
+    // The playAnimation call currently in progress: { action, resolve, returnTo }.
+    this.playback = null;
+    // Where to go once a one-shot has finished; applied on the next update.
+    this.pendingReturn = null;
+    this.mixer.addEventListener("finished", (event) =>
+      this.onActionFinished(event)
+    );
+
+    // --- Layers ---
+    // Applied in insertion order on top of the base mixer above.
+    this.layers = new Map();
+    // The base mixer's pose of every bone a layer touches, from the last update
+    this.basePose = new Map();
+    // Bones adjusted after update (look-at, ...), whose pose is restored the same way
+    this.trackedNodes = new Set();
+
+    // --- Root Motion ---
+    // Clips with extracted root motion -> { interpolant, prevTime }
+    this.rootMotion = new Map();
+    this.rootOrigin = vrm.scene.position.clone();
+
+    // --- Clip Events ---
+    // Clips with events -> { name, events, prevTime }
+    this.clipEvents = new Map();
+
+    // --- Clip Expressions ---
+    // What clip expression tracks animate; ExpressionController reads it as its base.
+    this.clipExpressions = getClipExpressionTarget(vrm);
+
+    // --- Look-At ---
+    // Animation name -> how much head tracking the clip allows (0-1), for clips that limit it
+    this.lookAtWeights = new Map();
   }
 
   /**
-   * Loads all animations defined in the animationFiles object.
+   * Loads all animations defined in the animationFiles object, several files at a time.
+   * `.vrma` files are loaded as VRM Animation, `.bvh` as motion capture, and everything
+   * else as FBX (Mixamo, Unreal, CMU, ...). Files already in the asset cache are only retargeted.
+   * @param {function({loaded: number, total: number, progress: number}): void} [onProgress] -
+   *   Aggregate progress over all files (see AnimationAssetCache.loadClips).
    */
-  async loadAllAnimations() {
+  async loadAllAnimations(onProgress) {
     console.log("AnimationController: Loading all animations...");
-    for (const [name, url] of Object.entries(this.animationFiles)) {
+    const [clips, expressionCurves] = await Promise.all([
+      this.assetCache.loadClips(this.animationFiles, this.vrm, onProgress),
+      this.loadExpressionCurves(),
+    ]);
+    for (const [name, loadedClip] of clips) {
+      let clip = loadedClip;
       try {
-        const clip = await loadMixamoAnimation(url, this.vrm);
-        // Store the clip with its original name for reference
-        clip.name = name;
-        this.animations.set(name, clip);
-        console.log(`AnimationController: Loaded animation "${name}"`);
+        clip = applyClipExpressions(clip, this.vrm, expressionCurves.get(name));
       } catch (error) {
         console.error(
-          `AnimationController: Failed to load animation ${name}:`,
+          `AnimationController: Invalid expression curves for ${name}:`,
           error
         );
       }
+      const file = this.animationFiles[name];
+      if (typeof file === "object") {
+        try {
+          const result = applyRootMotionOptions(clip, this.vrm, file);
+          clip = result.clip;
+          if (result.rootMotion) {
+            this.rootMotion.set(clip, {
+              interpolant: result.rootMotion.createInterpolant(),
+              prevTime: null,
+            });
+          }
+        } catch (error) {
+          console.error(
+            `AnimationController: Invalid root motion options for ${name}:`,
+            error
+          );
+        }
+      }
+      if (Array.isArray(file?.events) && file.events.length > 0) {
+        this.clipEvents.set(clip, {
+          name,
+          events: [...file.events].sort((a, b) => a.time - b.time),
+          prevTime: null,
+        });
+      }
+      if (typeof file?.lookAt === "number") {
+        this.lookAtWeights.set(name, THREE.MathUtils.clamp(file.lookAt, 0, 1));
+      }
+      this.animations.set(name, clip);
     }
-    console.log("AnimationController: All animations loaded!");
+    console.log(
+      `AnimationController: All animations loaded! (${clips.size}/${
+        Object.keys(this.animationFiles).length
+      })`
+    );
     //this.playAnimation("idle", true, 0); // Start with a default idle
     this.startIdleLoop();
   }
 
+  /**
+   * Loads the expression curves of every animation that has them, from their sidecar
+   * files (through the asset cache) or as given inline.
+   * @private
+   * @returns {Promise<Map<string, object>>} The curves by animation name.
+   */
+  async loadExpressionCurves() {
+    const curves = new Map();
+    const entries = Object.entries(this.animationFiles).filter(
+      ([, file]) => file?.expressions
+    );
+    await Promise.all(
+      entries.map(async ([name, { expressions }]) => {
+        try {
+          curves.set(
+            name,
+            typeof expressions === "string"
+              ? await this.assetCache.loadJSON(expressions)
+              : expressions
+          );
+        } catch (error) {
+          console.error(
+            `AnimationController: Failed to load expressions for ${name}:`,
+            error
+          );
+        }
+      })
+    );
+    return curves;
+  }
+
   /**
    * Plays a specific animation by name.
+   *
+   * One-shot (non-looping) animations cross-fade back to whatever was playing before
+   * them once they finish: the idle loop, the state machine, or the previous looping clip.
+   *
    * @param {string} animationName - The name of the animation to play.
    * @param {boolean} loop - Whether the animation should loop.
    * @param {number} fadeTime - The cross-fade duration.
+   * @param {object} [options]
+   * @param {boolean} [options.returnToIdle=true] - Whether a one-shot returns to the previous idle when it ends.
+   * @returns {Promise<boolean>} Resolves with true when a one-shot finishes, or with false
+   *   if the animation is interrupted by another one (looping animations only ever resolve this way).
    */
-  playAnimation(animationName, loop = false, fadeTime = 0.5) {
+  playAnimation(animationName, loop = false, fadeTime = 0.5, options = {}) {
+    const { returnToIdle = true } = options;
+
+    if (!this.animations.has(animationName)) {
+      console.warn(
+        `AnimationController: Animation "${animationName}" not found.`
+      );
+      return Promise.resolve(false);
+    }
+
+    // Work out where to return to before the idle loop or state machine is stopped.
+    const returnTo =
+      !loop && returnToIdle ? this.getReturnTarget(fadeTime) : null;
+
+    // A manually played animation takes over from the state machine.
+    this.stopStateMachine();
+
     // If a non-idle animation is played manually, stop the idle loop.
     if (this.idleLoopActive && !this.idleAnimations.includes(animationName)) {
       this.stopIdleLoop();
     }
 
+    const action = this.crossFadeTo(animationName, { loop, fadeTime });
+    // An idle clip becomes the idle loop's current animation
+    if (this.idleLoopActive) this.idleScheduler.adopt();
+
+    return new Promise((resolve) => {
+      this.playback = { action, resolve, returnTo };
+    });
+  }
+
+  /**
+   * Describes what is currently driving the base animation, so a one-shot can go back to it.
+   * @private
+   */
+  getReturnTarget(fadeTime) {
+    if (this.stateMachine?.active) {
+      return {
+        stateMachine: true,
+        state: this.stateMachine.currentStateName,
+        fadeTime,
+      };
+    }
+    if (this.idleLoopActive) return { idleLoop: true, fadeTime };
+    // Chained one-shots all return to where the first one came from.
+    if (this.playback?.returnTo) return this.playback.returnTo;
+    if (this.currentAction?.loop === THREE.LoopRepeat) {
+      return { name: this.currentActionName, fadeTime };
+    }
+    return { name: "idle", fadeTime };
+  }
+
+  /**
+   * Mixer "finished" listener. Resolves the playAnimation promise and queues the return to idle.
+   * @private
+   */
+  onActionFinished(event) {
+    const playback = this.playback;
+    if (!playback || event.action !== playback.action) return;
+
+    this.playback = null;
+    // Deferred to the next update so a caller chaining gestures on the promise
+    // can start the next one without a brief fade towards idle in between.
+    if (playback.returnTo) {
+      this.pendingReturn = { action: playback.action, ...playback.returnTo };
+    }
+    playback.resolve(true);
+  }
+
+  /**
+   * Cross-fades back to the target recorded when the finished one-shot was started.
+   * @private
+   */
+  applyPendingReturn() {
+    const pending = this.pendingReturn;
+    this.pendingReturn = null;
+    // Something else has been played since the one-shot finished.
+    if (this.currentAction !== pending.action) return;
+
+    if (pending.stateMachine) {
+      this.startStateMachine(pending.state, pending.fadeTime);
+    } else if (pending.idleLoop) {
+      this.startIdleLoop();
+    } else {
+      this.crossFadeTo(pending.name, { loop: true, fadeTime: pending.fadeTime });
+    }
+  }
+
+  /**
+   * Cross-fades from the current action to the named clip. Unlike playAnimation,
+   * this leaves the idle loop and state machine alone, so they can use it themselves.
+   * @param {string} animationName - The name of the animation to play.
+   * @param {object} [options]
+   * @param {boolean} [options.loop=false] - Whether the animation should loop.
+   * @param {number} [options.fadeTime=0.5] - The cross-fade duration.
+   * @param {number} [options.timeScale=1] - Playback speed of the new action.
+   * @returns {THREE.AnimationAction|null} The new action, or null if the clip is not loaded.
+   */
+  crossFadeTo(animationName, { loop = false, fadeTime = 0.5, timeScale = 1 } = {}) {
     if (!this.animations.has(animationName)) {
       console.warn(
         `AnimationController: Animation "${animationName}" not found.`
       );
-      return;
+      return null;
+    }
+
+    // Whatever playAnimation call was in progress has now been interrupted.
+    if (this.playback) {
+      this.playback.resolve(false);
+      this.playback = null;
     }
 
     this.currentActionName = animationName;
@@ -80,6 +314,7 @@ export class AnimationController {
     const newAction = this.mixer.clipAction(clip);
     newAction.loop = loop ? THREE.LoopRepeat : THREE.LoopOnce;
     newAction.clampWhenFinished = !loop;
+    newAction.timeScale = timeScale;
 
     if (this.currentAction && this.currentAction !== newAction) {
       newAction.reset().play();
@@ -89,6 +324,152 @@ export class AnimationController {
     }
 
     this.currentAction = newAction;
+    return newAction;
+  }
+
+  /**
+   * Builds a state machine from a JSON-serializable graph and attaches it to this controller.
+   * See AnimationStateMachine for the graph format.
+   * @param {object} graph - The state machine definition.
+   * @returns {AnimationStateMachine} The new state machine.
+   */
+  loadStateMachine(graph) {
+    this.stopStateMachine();
+    this.stateMachine = new AnimationStateMachine(this, graph);
+    return this.stateMachine;
+  }
+
+  /**
+   * Hands control to the state machine, stopping the idle loop.
+   * @param {string} [stateName] - The state to enter. Defaults to the graph's initial state.
+   * @param {number} [fadeTime=0.5] - The cross-fade duration into that state.
+   */
+  startStateMachine(stateName, fadeTime = 0.5) {
+    if (!this.stateMachine) {
+      console.warn("AnimationController: No state machine loaded.");
+      return;
+    }
+    if (this.idleLoopActive) {
+      this.idleLoopActive = false;
+      this.idleScheduler.stop();
+    }
+    this.stateMachine.start(stateName, fadeTime);
+  }
+
+  /**
+   * Stops the state machine, leaving the current clip playing.
+   */
+  stopStateMachine() {
+    if (this.stateMachine) this.stateMachine.stop();
+  }
+
+  /**
+   * Sets a state machine parameter, e.g. setParameter("isTalking", true).
+   * @param {string} name - The parameter name.
+   * @param {boolean|number} value - The new value.
+   */
+  setParameter(name, value) {
+    this.stateMachine?.setParameter(name, value);
+  }
+
+  /**
+   * Fires a state machine trigger, e.g. setTrigger("greet").
+   * @param {string} name - The trigger name.
+   */
+  setTrigger(name) {
+    this.stateMachine?.setTrigger(name);
+  }
+
+  /**
+   * Adds an animation layer over the base animation, e.g. upper-body gestures
+   * or an additive overlay. Layers are applied in the order they were added.
+   * @param {string} name - The layer name.
+   * @param {object} [options] - See AnimationLayer.
+   * @returns {AnimationLayer} The new layer.
+   */
+  addLayer(name, options = {}) {
+    if (this.layers.has(name)) {
+      console.warn(`AnimationController: Layer "${name}" already exists.`);
+      return this.layers.get(name);
+    }
+    const layer = new AnimationLayer(this, name, options);
+    this.layers.set(name, layer);
+    return layer;
+  }
+
+  /**
+   * @param {string} name - The layer name.
+   * @returns {AnimationLayer|undefined}
+   */
+  getLayer(name) {
+    return this.layers.get(name);
+  }
+
+  /**
+   * Removes a layer immediately, leaving the base pose on its bones.
+   * @param {string} name - The layer name.
+   */
+  removeLayer(name) {
+    const layer = this.layers.get(name);
+    if (!layer) return;
+    layer.stop(0);
+    this.layers.delete(name);
+  }
+
+  /**
+   * Plays an animation on a layer. See AnimationLayer.play for the options.
+   * @param {string} layerName - The layer name.
+   * @param {string} animationName - The name of the animation to play.
+   * @param {object} [options]
+   * @returns {Promise<boolean>}
+   */
+  playOnLayer(layerName, animationName, options = {}) {
+    const layer = this.layers.get(layerName);
+    if (!layer) {
+      console.warn(`AnimationController: Layer "${layerName}" not found.`);
+      return Promise.resolve(false);
+    }
+    return layer.play(animationName, options);
+  }
+
+  /**
+   * Fades a layer out.
+   * @param {string} layerName - The layer name.
+   * @param {number} [fadeTime=0.3] - The fade duration.
+   */
+  stopLayer(layerName, fadeTime = 0.3) {
+    this.layers.get(layerName)?.stop(fadeTime);
+  }
+
+  /**
+   * Keeps the animated pose of bones that are adjusted after update, e.g. by look-at.
+   * Their pose is restored before each mixer update, because the mixer skips bones whose
+   * animated value hasn't changed and the adjustments would otherwise pile up on held poses.
+   * @param {THREE.Object3D[]} nodes - The (normalized) bone nodes.
+   */
+  trackPose(nodes) {
+    for (const node of nodes) this.trackedNodes.add(node);
+  }
+
+  /**
+   * How much head tracking the playing animations allow, from 0 (none) to 1. Clips set it
+   * with `lookAt` in animationFiles (1 if not given), e.g. a bow that looks at the floor;
+   * it follows their weights, so it fades in and out with them.
+   * @returns {number} The look-at weight.
+   */
+  getLookAtWeight() {
+    let weight = 1;
+    for (const [name, clipWeight] of this.lookAtWeights) {
+      const action = this.mixer.existingAction(this.animations.get(name));
+      if (action) weight -= action.getEffectiveWeight() * (1 - clipWeight);
+    }
+    for (const layer of this.layers.values()) {
+      for (const entry of layer.entries) {
+        const clipWeight = this.lookAtWeights.get(entry.name) ?? 1;
+        weight -= layer.weight * layer.fade * entry.weight * (1 - clipWeight);
+      }
+    }
+    return THREE.MathUtils.clamp(weight, 0, 1);
   }
 
   /**
@@ -96,9 +477,10 @@ export class AnimationController {
    */
   startIdleLoop() {
     if (this.idleLoopActive) return; // Already running
+    this.stopStateMachine();
     this.idleLoopActive = true;
     console.log("Starting idle loop...");
-    this.runIdleLoop();
+    this.idleScheduler.start();
   }
 
   /**
@@ -107,59 +489,164 @@ export class AnimationController {
   stopIdleLoop() {
     if (!this.idleLoopActive) return; // Already stopped
     this.idleLoopActive = false;
-    if (this.idleTimeout) {
-      clearTimeout(this.idleTimeout);
-      this.idleTimeout = null;
-    }
+    this.idleScheduler.stop();
     console.log("Stopping idle loop. Returning to default idle.");
     this.playAnimation("idle", true);
   }
 
   /**
-   * The core logic for the idle loop. Plays a random animation then sets a timeout to run again.
+   * Moves the model back to where it was when the controller was created,
+   * undoing the distance covered by root motion.
+   */
+  resetRootMotion() {
+    this.vrm.scene.position.copy(this.rootOrigin);
+  }
+
+  /**
+   * Moves the model by the root motion of every playing clip that has it,
+   * since the times recorded before the mixer update.
    * @private
    */
-  runIdleLoop() {
-    if (!this.idleLoopActive) return;
+  applyRootMotion() {
+    const delta = new THREE.Vector3();
+    for (const [clip, state] of this.rootMotion) {
+      const action = this.mixer.existingAction(clip);
+      if (!action || state.prevTime === null) continue;
+      if (!action.enabled || !action.isRunning()) continue;
 
-    // Find available idle animations, excluding the current one to avoid repeats
-    const possibleAnims = this.idleAnimations.filter(
-      (name) => name !== this.currentActionName && this.animations.has(name)
-    );
+      const sample = (time) =>
+        _rootMotionSample.fromArray(state.interpolant.evaluate(time));
+      const step = sample(action.time).clone().sub(sample(state.prevTime));
 
-    // If all have been filtered (e.g., only one idle anim), use the full list
-    const animPool =
-      possibleAnims.length > 0
-        ? possibleAnims
-        : this.idleAnimations.filter((name) => this.animations.has(name));
+      // A looping clip wrapped around: add one full cycle of motion.
+      const direction = Math.sign(action.timeScale * this.mixer.timeScale);
+      const wrapped =
+        direction > 0 ? action.time < state.prevTime : action.time > state.prevTime;
+      if (wrapped) {
+        const cycle = sample(clip.duration).clone().sub(sample(0));
+        step.addScaledVector(cycle, direction);
+      }
 
-    if (animPool.length === 0) {
-      console.warn("No idle animations available for loop.");
-      this.stopIdleLoop();
-      return;
+      delta.addScaledVector(step, action.getEffectiveWeight());
     }
 
-    const nextAnimName = animPool[Math.floor(Math.random() * animPool.length)];
+    // The curve is in the model's local space.
+    delta
+      .applyQuaternion(this.vrm.scene.quaternion)
+      .multiply(this.vrm.scene.scale);
+    this.vrm.scene.position.add(delta);
+  }
 
-    // Play the chosen animation. We set it to loop, but the timeout will cut it short.
-    this.playAnimation(nextAnimName, true);
+  /**
+   * Fires the events of the playing clip whose times were passed since the times
+   * recorded before the mixer update, in playback order.
+   * @private
+   */
+  dispatchClipEvents() {
+    for (const [clip, state] of this.clipEvents) {
+      const action = this.mixer.existingAction(clip);
+      // Not isRunning(): a one-shot pauses in the same update that reaches its end.
+      if (!action?.enabled || state.prevTime === null) continue;
+      // Only the clip being faded to or played; one fading out has had its say.
+      if (
+        action !== this.currentAction &&
+        action !== this.stateMachine?.currentAction
+      ) {
+        continue;
+      }
 
-    // Set a random timeout to transition to the next animation
-    const randomInterval = Math.random() * (30000 - 5000) + 5000; // 5 to 30 seconds
-    console.log(
-      `Idle loop: playing "${nextAnimName}" for ${Math.round(
-        randomInterval / 1000
-      )}s`
-    );
+      const from = state.prevTime;
+      const to = action.time;
+      if (from === to) continue;
+      const forward = action.timeScale * this.mixer.timeScale >= 0;
+      const wrapped = forward ? to < from : to > from;
+      const passed = (time) => {
+        // A restarted clip includes its first frame.
+        if (from === 0 && time === 0) return true;
+        if (forward) {
+          return wrapped ? time > from || time <= to : time > from && time <= to;
+        }
+        return wrapped ? time < from || time >= to : time < from && time >= to;
+      };
+
+      const events = forward ? state.events : [...state.events].reverse();
+      for (const event of events) {
+        if (!passed(event.time)) continue;
+        this.mixer.dispatchEvent({
+          type: "clipevent",
+          action,
+          animation: state.name,
+          event,
+        });
+      }
+    }
+  }
 
-    this.idleTimeout = setTimeout(() => this.runIdleLoop(), randomInterval);
+  /**
+   * Exports a loaded animation, as retargeted onto this VRM, as a VRM Animation file.
+   * @param {string} animationName - The name of the animation to export.
+   * @param {object} [options] - Passed to exportVRMAnimation.
+   * @returns {ArrayBuffer|null} The .vrma (GLB) contents, or null if the animation isn't loaded.
+   */
+  exportAnimation(animationName, options = {}) {
+    const clip = this.animations.get(animationName);
+    if (!clip) {
+      console.warn(`AnimationController: Animation "${animationName}" not found.`);
+      return null;
+    }
+    return exportVRMAnimation(clip, this.vrm, options);
   }
 
   /**
    * Updates the animation mixer. Should be called in the main render loop.
+   *
+   * Clips configured with `events: [{ time, ...data }]` in animationFiles fire a
+   * "clipevent" on the mixer whenever the playing clip passes one of those times:
+   * `{ type: "clipevent", action, animation, event }`, where `event` is the configured entry.
+   *
    * @param {number} deltaTime - The time elapsed since the last frame.
    */
   update(deltaTime) {
+    if (this.pendingReturn) this.applyPendingReturn();
+    if (this.stateMachine) this.stateMachine.update();
+
+    // The mixer only writes a bone when its animated value changes, so a held pose would
+    // otherwise keep the layered (or look-at) result and stack layers on it every frame.
+    for (const [node, pose] of this.basePose) {
+      node.quaternion.copy(pose.quaternion);
+      node.position.copy(pose.position);
+    }
+
+    for (const [clip, state] of this.rootMotion) {
+      state.prevTime = this.mixer.existingAction(clip)?.time ?? null;
+    }
+    for (const [clip, state] of this.clipEvents) {
+      state.prevTime = this.mixer.existingAction(clip)?.time ?? null;
+    }
     this.mixer.update(deltaTime);
+    if (this.rootMotion.size > 0) this.applyRootMotion();
+    if (this.clipEvents.size > 0) this.dispatchClipEvents();
+    this.idleScheduler.update();
+
+    for (const layer of this.layers.values()) {
+      for (const node of layer.nodes) this.storeBasePose(node);
+    }
+    for (const node of this.trackedNodes) this.storeBasePose(node);
+    for (const layer of this.layers.values()) layer.update(deltaTime);
+  }
+
+  /**
+   * @private
+   */
+  storeBasePose(node) {
+    if (!this.basePose.has(node)) {
+      this.basePose.set(node, {
+        quaternion: new THREE.Quaternion(),
+        position: new THREE.Vector3(),
+      });
+    }
+    const pose = this.basePose.get(node);
+    pose.quaternion.copy(node.quaternion);
+    pose.position.copy(node.position);
   }
 }
@@ -0,0 +1,332 @@
+import * as THREE from "three";
+import {
+  BoneMasks,
+  createMaskedClip,
+  getMaskNodes,
+} from "./utils/boneMasks.js";
+
+const _identity = new THREE.Quaternion();
+const _quat = new THREE.Quaternion();
+const _vec3 = new THREE.Vector3();
+
+/**
+ * An animation layer played on top of AnimationController's base (full-body) mixer.
+ *
+ * After the base mixer has posed the model, each layer blends its own pose over
+ * the bones in its humanoid bone mask:
+ * - "override" layers replace the base pose, e.g. talking gestures on the upper body.
+ * - "additive" layers add their motion relative to the clip's first frame, e.g. a yawn overlay.
+ *
+ * Layers sample their clips directly rather than through a THREE.AnimationMixer,
+ * because a mixer skips writing bones whose value hasn't changed since its last
+ * update, which would leave the layered result of the previous frame on them.
+ */
+export class AnimationLayer {
+  /**
+   * @param {AnimationController} controller - The owning controller.
+   * @param {string} name - The layer name.
+   * @param {object} [options]
+   * @param {string[]} [options.mask] - VRM humanoid bone names this layer affects (see BoneMasks).
+   *   Without one the layer covers the whole body (BoneMasks.fullBody).
+   * @param {"override"|"additive"} [options.blendMode="override"] - How the layer combines with the layers below.
+   * @param {number} [options.weight=1] - The layer weight (0-1).
+   */
+  constructor(controller, name, options = {}) {
+    const {
+      mask = BoneMasks.fullBody,
+      blendMode = "override",
+      weight = 1,
+    } = options;
+
+    this.controller = controller;
+    this.vrm = controller.vrm;
+    this.name = name;
+    this.blendMode = blendMode;
+    this.mask = mask;
+    this.weight = weight;
+
+    this.nodes = getMaskNodes(this.vrm, mask);
+
+    // Masked (and, for additive layers, delta-converted) copies of the controller's clips
+    this.clips = new Map();
+
+    // Clips currently playing on this layer; more than one while cross-fading.
+    // Each is { name, clip, time, loop, weight, targetWeight, fadeSpeed, finished, samplers }.
+    this.entries = [];
+    this.currentEntry = null;
+    this.playback = null;
+
+    // Fades the whole layer in on play and out on stop, on top of `weight`
+    this.fade = 0;
+    this.fadeTarget = 0;
+    this.fadeSpeed = 0;
+
+    // Per-node blend accumulators, indexed like this.nodes
+    this.blendQuaternions = this.nodes.map(() => new THREE.Quaternion());
+    this.blendPositions = this.nodes.map(() => new THREE.Vector3());
+    this.quaternionWeights = new Float32Array(this.nodes.length);
+    this.positionWeights = new Float32Array(this.nodes.length);
+  }
+
+  /**
+   * The name of the clip currently playing on this layer, if any.
+   * @returns {string|null}
+   */
+  get currentActionName() {
+    return this.currentEntry?.name ?? null;
+  }
+
+  /**
+   * @private
+   */
+  getLayerClip(animationName) {
+    if (!this.clips.has(animationName)) {
+      const source = this.controller.animations.get(animationName);
+      if (!source) return null;
+      const clip = createMaskedClip(source, this.vrm, this.mask);
+      if (this.blendMode === "additive") {
+        THREE.AnimationUtils.makeClipAdditive(clip);
+      }
+      this.clips.set(animationName, clip);
+    }
+    return this.clips.get(animationName);
+  }
+
+  /**
+   * @private
+   */
+  createSamplers(clip) {
+    const samplers = [];
+    for (const track of clip.tracks) {
+      const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(
+        track.name
+      );
+      const index = this.nodes.findIndex((node) => node.name === nodeName);
+      if (index === -1) continue;
+      if (propertyName !== "quaternion" && propertyName !== "position") continue;
+      samplers.push({
+        index,
+        propertyName,
+        interpolant: track.createInterpolant(),
+      });
+    }
+    return samplers;
+  }
+
+  /**
+   * Plays an animation on this layer, fading the layer in if it was stopped.
+   * @param {string} animationName - The name of an animation loaded by the controller.
+   * @param {object} [options]
+   * @param {boolean} [options.loop=true] - Whether the animation should loop.
+   * @param {number} [options.fadeTime=0.3] - The fade duration.
+   * @param {boolean} [options.autoStop=true] - Whether a one-shot fades the layer out when it ends.
+   * @returns {Promise<boolean>} Resolves with true when a one-shot finishes, or false if interrupted.
+   */
+  play(animationName, options = {}) {
+    const { loop = true, fadeTime = 0.3, autoStop = true } = options;
+
+    const clip = this.getLayerClip(animationName);
+    if (!clip) {
+      console.warn(
+        `AnimationLayer "${this.name}": Animation "${animationName}" not found.`
+      );
+      return Promise.resolve(false);
+    }
+
+    if (this.playback) {
+      this.playback.resolve(false);
+      this.playback = null;
+    }
+
+    const entry = {
+      name: animationName,
+      clip,
+      time: 0,
+      loop,
+      weight: 1,
+      targetWeight: 1,
+      fadeSpeed: 0,
+      finished: false,
+      samplers: this.createSamplers(clip),
+    };
+
+    // Cross-fade within the layer only while it is visible; otherwise the
+    // layer fade takes care of the transition.
+    if (this.fade > 0 && this.entries.length > 0 && fadeTime > 0) {
+      for (const other of this.entries) {
+        other.targetWeight = 0;
+        other.fadeSpeed = 1 / fadeTime;
+      }
+      entry.weight = 0;
+      entry.fadeSpeed = 1 / fadeTime;
+      this.entries.push(entry);
+    } else {
+      this.entries = [entry];
+    }
+
+    this.currentEntry = entry;
+    this.fadeTo(1, fadeTime);
+
+    return new Promise((resolve) => {
+      this.playback = { entry, resolve, autoStop: !loop && autoStop, fadeTime };
+    });
+  }
+
+  /**
+   * Fades the layer out. The base pose shows through once the fade completes.
+   * @param {number} [fadeTime=0.3] - The fade duration.
+   */
+  stop(fadeTime = 0.3) {
+    if (this.playback) {
+      this.playback.resolve(false);
+      this.playback = null;
+    }
+    this.fadeTo(0, fadeTime);
+  }
+
+  /**
+   * Sets the layer weight (0-1).
+   * @param {number} weight
+   */
+  setWeight(weight) {
+    this.weight = THREE.MathUtils.clamp(weight, 0, 1);
+  }
+
+  /**
+   * @private
+   */
+  fadeTo(target, fadeTime) {
+    this.fadeTarget = target;
+    if (fadeTime <= 0) {
+      this.fade = target;
+      this.fadeSpeed = 0;
+    } else {
+      this.fadeSpeed = 1 / fadeTime;
+    }
+    if (this.fade === 0 && target === 0) this.clear();
+  }
+
+  /**
+   * @private
+   */
+  clear() {
+    this.entries = [];
+    this.currentEntry = null;
+  }
+
+  /**
+   * @private
+   */
+  advance(deltaTime) {
+    if (this.fade !== this.fadeTarget) {
+      this.fade = approach(this.fade, this.fadeTarget, this.fadeSpeed * deltaTime);
+      if (this.fade === 0) this.clear();
+    }
+
+    for (const entry of this.entries) {
+      entry.weight = approach(
+        entry.weight,
+        entry.targetWeight,
+        entry.fadeSpeed * deltaTime
+      );
+
+      const duration = entry.clip.duration;
+      entry.time += deltaTime;
+      if (entry.loop) {
+        if (duration > 0) entry.time %= duration;
+      } else if (entry.time >= duration) {
+        entry.time = duration;
+        if (!entry.finished) {
+          entry.finished = true;
+          this.onEntryFinished(entry);
+        }
+      }
+    }
+
+    this.entries = this.entries.filter(
+      (entry) => entry.weight > 0 || entry.targetWeight > 0
+    );
+  }
+
+  /**
+   * @private
+   */
+  onEntryFinished(entry) {
+    const playback = this.playback;
+    if (!playback || playback.entry !== entry) return;
+    this.playback = null;
+    if (playback.autoStop) this.stop(playback.fadeTime);
+    playback.resolve(true);
+  }
+
+  /**
+   * Advances the layer and blends it over the pose already on the bones.
+   * Called by AnimationController.update after the base mixer has run.
+   * @param {number} deltaTime - The time elapsed since the last frame.
+   */
+  update(deltaTime) {
+    // Follow the base mixer's speed so the Time Scale slider affects every layer.
+    this.advance(deltaTime * this.controller.mixer.timeScale);
+    if (this.entries.length === 0) return;
+
+    // Weighted average of every playing clip, per bone.
+    this.quaternionWeights.fill(0);
+    this.positionWeights.fill(0);
+    for (const entry of this.entries) {
+      if (entry.weight <= 0) continue;
+      for (const { index, propertyName, interpolant } of entry.samplers) {
+        const value = interpolant.evaluate(entry.time);
+        if (propertyName === "quaternion") {
+          const total = (this.quaternionWeights[index] += entry.weight);
+          _quat.fromArray(value);
+          if (total === entry.weight) {
+            this.blendQuaternions[index].copy(_quat);
+          } else {
+            this.blendQuaternions[index].slerp(_quat, entry.weight / total);
+          }
+        } else {
+          const total = (this.positionWeights[index] += entry.weight);
+          _vec3.fromArray(value);
+          if (total === entry.weight) {
+            this.blendPositions[index].copy(_vec3);
+          } else {
+            this.blendPositions[index].lerp(_vec3, entry.weight / total);
+          }
+        }
+      }
+    }
+
+    const weight = this.weight * this.fade;
+    const additive = this.blendMode === "additive";
+
+    this.nodes.forEach((node, i) => {
+      if (this.quaternionWeights[i] > 0) {
+        const layerQuaternion = this.blendQuaternions[i];
+        if (additive) {
+          // The additive clip holds each bone's delta from its first frame.
+          _quat.slerpQuaternions(_identity, layerQuaternion, weight);
+          node.quaternion.multiply(_quat);
+        } else {
+          node.quaternion.slerp(layerQuaternion, weight);
+        }
+      }
+      if (this.positionWeights[i] > 0) {
+        const layerPosition = this.blendPositions[i];
+        if (additive) {
+          node.position.addScaledVector(layerPosition, weight);
+        } else {
+          node.position.lerp(layerPosition, weight);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Moves `value` towards `target` by at most `step`.
+ */
+function approach(value, target, step) {
+  return value < target
+    ? Math.min(value + step, target)
+    : Math.max(value - step, target);
+}
@@ -0,0 +1,271 @@
+/**
+ * Comparison operators available to parameter conditions.
+ */
+const OPERATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+/**
+ * Drives an AnimationController from a declarative, JSON-serializable graph of
+ * states and transitions.
+ *
+ * A graph looks like:
+ * {
+ *   initialState: "idle",
+ *   parameters: { isTalking: { type: "bool", default: false }, greet: { type: "trigger" } },
+ *   states: { idle: { clip: "idle", loop: true }, bow: { clip: "bow", loop: false } },
+ *   transitions: [
+ *     { from: "*", to: "bow", conditions: [{ type: "trigger", name: "greet" }], fadeDuration: 0.3 },
+ *     { from: "bow", to: "idle", conditions: [{ type: "finished" }], exitTime: 0.9 },
+ *   ],
+ * }
+ *
+ * Transitions are evaluated in order and the first one whose conditions all pass wins.
+ * A `from` of "*" matches any state.
+ */
+export class AnimationStateMachine {
+  /**
+   * @param {AnimationController} controller - The controller whose mixer plays the states.
+   * @param {object} graph - The state machine definition (see class docs).
+   */
+  constructor(controller, graph) {
+    this.controller = controller;
+    this.graph = graph;
+
+    this.active = false;
+    this.currentStateName = null;
+    this.currentAction = null;
+    this.loopCount = 0;
+    this.clipFinished = false;
+
+    this.parameters = new Map();
+    this.triggers = new Set();
+    for (const [name, def] of Object.entries(graph.parameters || {})) {
+      if (def.type !== "trigger") {
+        this.parameters.set(name, def.default ?? (def.type === "bool" ? false : 0));
+      }
+    }
+
+    this.validate();
+
+    this.onMixerLoop = (event) => {
+      if (event.action === this.currentAction) this.loopCount++;
+    };
+    this.onMixerFinished = (event) => {
+      if (event.action === this.currentAction) this.clipFinished = true;
+    };
+  }
+
+  /**
+   * Checks that every state, clip and parameter referenced by the graph exists.
+   * @private
+   */
+  validate() {
+    const { states = {}, transitions = [], parameters = {} } = this.graph;
+
+    if (!states[this.graph.initialState]) {
+      throw new Error(
+        `AnimationStateMachine: Initial state "${this.graph.initialState}" is not defined.`
+      );
+    }
+
+    for (const [name, state] of Object.entries(states)) {
+      if (!(state.clip in this.controller.animationFiles)) {
+        throw new Error(
+          `AnimationStateMachine: State "${name}" references unknown clip "${state.clip}".`
+        );
+      }
+    }
+
+    transitions.forEach((transition, index) => {
+      if (transition.from !== "*" && !states[transition.from]) {
+        throw new Error(
+          `AnimationStateMachine: Transition ${index} has unknown source state "${transition.from}".`
+        );
+      }
+      if (!states[transition.to]) {
+        throw new Error(
+          `AnimationStateMachine: Transition ${index} has unknown target state "${transition.to}".`
+        );
+      }
+      for (const condition of transition.conditions || []) {
+        if (condition.type === "finished") continue;
+        const param = parameters[condition.name];
+        if (!param) {
+          throw new Error(
+            `AnimationStateMachine: Transition ${index} uses unknown parameter "${condition.name}".`
+          );
+        }
+        if ((condition.type === "trigger") !== (param.type === "trigger")) {
+          throw new Error(
+            `AnimationStateMachine: Transition ${index} uses "${condition.name}" as a ${condition.type} condition.`
+          );
+        }
+        if (condition.type === "parameter" && !(condition.op in OPERATORS)) {
+          throw new Error(
+            `AnimationStateMachine: Transition ${index} has unknown operator "${condition.op}".`
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Enters a state and starts evaluating transitions.
+   * @param {string} [stateName] - The state to enter. Defaults to the graph's initial state.
+   * @param {number} [fadeDuration=0.5] - The cross-fade duration into that state.
+   */
+  start(stateName = this.graph.initialState, fadeDuration = 0.5) {
+    if (this.active) return;
+    if (!this.graph.states[stateName]) stateName = this.graph.initialState;
+    this.active = true;
+    this.controller.mixer.addEventListener("loop", this.onMixerLoop);
+    this.controller.mixer.addEventListener("finished", this.onMixerFinished);
+    this.enterState(stateName, fadeDuration);
+  }
+
+  /**
+   * Stops evaluating transitions. The current clip keeps playing.
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.controller.mixer.removeEventListener("loop", this.onMixerLoop);
+    this.controller.mixer.removeEventListener("finished", this.onMixerFinished);
+    this.currentStateName = null;
+    this.currentAction = null;
+    this.triggers.clear();
+  }
+
+  /**
+   * Sets the value of a bool or number parameter.
+   * @param {string} name - The parameter name.
+   * @param {boolean|number} value - The new value.
+   */
+  setParameter(name, value) {
+    if (!this.parameters.has(name)) {
+      console.warn(`AnimationStateMachine: Parameter "${name}" not found.`);
+      return;
+    }
+    this.parameters.set(name, value);
+  }
+
+  /**
+   * @param {string} name - The parameter name.
+   * @returns {boolean|number|undefined} The current value of the parameter.
+   */
+  getParameter(name) {
+    return this.parameters.get(name);
+  }
+
+  /**
+   * Fires a trigger. It stays set until a transition consumes it or it is reset.
+   * @param {string} name - The trigger name.
+   */
+  setTrigger(name) {
+    if (this.graph.parameters?.[name]?.type !== "trigger") {
+      console.warn(`AnimationStateMachine: Trigger "${name}" not found.`);
+      return;
+    }
+    this.triggers.add(name);
+  }
+
+  /**
+   * Clears a trigger that has not been consumed yet.
+   * @param {string} name - The trigger name.
+   */
+  resetTrigger(name) {
+    this.triggers.delete(name);
+  }
+
+  /**
+   * How far the current state has played, in clip lengths (1.0 = one full play).
+   * @returns {number}
+   */
+  getNormalizedTime() {
+    if (!this.currentAction) return 0;
+    const duration = this.currentAction.getClip().duration;
+    if (duration <= 0) return 0;
+    if (this.clipFinished) return Math.max(1, this.loopCount);
+    return this.loopCount + this.currentAction.time / duration;
+  }
+
+  /**
+   * Evaluates transitions out of the current state. Called by AnimationController.update.
+   */
+  update() {
+    if (!this.active || !this.currentStateName) return;
+
+    const normalizedTime = this.getNormalizedTime();
+
+    for (const transition of this.graph.transitions || []) {
+      if (transition.from !== "*" && transition.from !== this.currentStateName) {
+        continue;
+      }
+      if (transition.from === "*" && transition.to === this.currentStateName) {
+        continue;
+      }
+      if (transition.exitTime != null && normalizedTime < transition.exitTime) {
+        continue;
+      }
+      if (!this.conditionsPass(transition.conditions || [])) continue;
+
+      for (const condition of transition.conditions || []) {
+        if (condition.type === "trigger") this.triggers.delete(condition.name);
+      }
+      this.enterState(transition.to, transition.fadeDuration ?? 0.25);
+      return;
+    }
+  }
+
+  /**
+   * @private
+   */
+  conditionsPass(conditions) {
+    return conditions.every((condition) => {
+      switch (condition.type) {
+        case "trigger":
+          return this.triggers.has(condition.name);
+        case "finished":
+          return this.clipFinished;
+        case "parameter":
+          return OPERATORS[condition.op](
+            this.parameters.get(condition.name),
+            condition.value
+          );
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  enterState(stateName, fadeDuration) {
+    const state = this.graph.states[stateName];
+    const action = this.controller.crossFadeTo(state.clip, {
+      loop: state.loop ?? true,
+      fadeTime: fadeDuration,
+      timeScale: state.speed ?? 1,
+    });
+
+    this.currentStateName = stateName;
+    this.currentAction = action;
+    this.loopCount = 0;
+    this.clipFinished = false;
+    console.log(`AnimationStateMachine: Entered state "${stateName}"`);
+  }
+
+  /**
+   * @returns {object} A plain copy of the graph definition, suitable for JSON.stringify.
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.graph));
+  }
+}
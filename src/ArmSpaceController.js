@@ -1,11 +1,82 @@
 import * as THREE from "three";
+import { Capsule } from "three/examples/jsm/math/Capsule.js";
+import { getCapsulePenetration } from "./utils/capsules.js";
 
+// Bones whose spring-bone colliders count as part of the body
+const bodyBoneNames = [
+  "hips",
+  "spine",
+  "chest",
+  "upperChest",
+  "neck",
+  "head",
+  "leftUpperLeg",
+  "rightUpperLeg",
+];
+
+const _shoulder = new THREE.Vector3();
+const _elbow = new THREE.Vector3();
+const _wrist = new THREE.Vector3();
+const _handEnd = new THREE.Vector3();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _pointOnArm = new THREE.Vector3();
+const _pointOnBody = new THREE.Vector3();
+const _push = new THREE.Vector3();
+const _from = new THREE.Vector3();
+const _to = new THREE.Vector3();
+const _delta = new THREE.Quaternion();
+const _parentQuaternion = new THREE.Quaternion();
+const _identity = new THREE.Quaternion();
+
+/**
+ * Keeps the arms out of the body. The torso, hips, thighs and head are approximated with
+ * capsules built from the skeleton, plus the model's spring-bone colliders on those bones.
+ * Each frame the upper arm, forearm and hand capsules are tested against them, and any
+ * overlap is pushed out with the smallest rotation of the shoulder. Arms that are already
+ * clear of the body are left as the animation has them.
+ */
 export class ArmSpaceController {
+  /**
+   * @param {VRM} vrm - The VRM.
+   * @param {number} [defaultArmSpace=0] - The clearance margin, in centimetres (see setArmSpace).
+   */
   constructor(vrm, defaultArmSpace = 0) {
     this.vrm = vrm;
-    this.armSpaceOffset = defaultArmSpace;
+    this.setArmSpace(defaultArmSpace);
     // Start disabled to prevent running before the first animation frame
     this.enabled = false;
+
+    this.config = {
+      // Solver passes per arm; each pushes out the deepest overlap
+      iterations: 4,
+      // The most the shoulder is turned, in degrees
+      maxCorrection: 60,
+      // Capsule radii, as fractions of the shoulder width (the distance between the upper arms)
+      torsoRadius: 0.38,
+      hipsRadius: 0.3,
+      thighRadius: 0.22,
+      headRadius: 0.33,
+      upperArmRadius: 0.13,
+      lowerArmRadius: 0.11,
+      handRadius: 0.1,
+      // How much of the upper arm, from the shoulder, isn't tested: the armpit always touches
+      shoulderSkip: 0.35,
+      useSpringBoneColliders: true,
+    };
+
+    const bodyNodes = new Set(
+      bodyBoneNames.map((name) => vrm.humanoid?.getRawBoneNode(name))
+    );
+    this.colliders = (vrm.springBoneManager?.colliders ?? []).filter(
+      (collider) =>
+        bodyNodes.has(collider.parent) &&
+        ["sphere", "capsule"].includes(collider.shape.type) &&
+        !collider.shape.inside
+    );
+
+    this.bodyCapsules = [];
+    this.armCapsules = [new Capsule(), new Capsule(), new Capsule()];
   }
 
   /**
@@ -16,33 +87,190 @@ export class ArmSpaceController {
     this.enabled = isEnabled;
   }
 
+  /**
+   * Sets how much space to keep between the arms and the body.
+   * @param {number} value - The clearance margin, in centimetres. Negative values let the
+   *   arms sink in that far before they're pushed out.
+   */
   setArmSpace(value) {
     this.armSpaceOffset = value;
+    this.margin = value / 100;
+  }
+
+  setConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
+  /**
+   * The bones this controller turns, for AnimationController.trackPose.
+   * @returns {THREE.Object3D[]} The normalized upper arm nodes.
+   */
+  getArmBones() {
+    return ["leftUpperArm", "rightUpperArm"]
+      .map((name) => this.vrm.humanoid?.getNormalizedBoneNode(name))
+      .filter(Boolean);
   }
 
   update() {
     // Guard clause: only run the logic if the controller is enabled
     if (!this.enabled || !this.vrm || !this.vrm.humanoid) return;
 
-    // Get the arm bones
-    const leftArm = this.vrm.humanoid.getNormalizedBoneNode("leftUpperArm");
-    const rightArm = this.vrm.humanoid.getNormalizedBoneNode("rightUpperArm");
+    const humanoid = this.vrm.humanoid;
+    const hips = humanoid.getNormalizedBoneNode("hips");
+    const leftArm = humanoid.getNormalizedBoneNode("leftUpperArm");
+    const rightArm = humanoid.getNormalizedBoneNode("rightUpperArm");
+    if (!hips || !leftArm || !rightArm) return;
 
-    if (leftArm && rightArm) {
-      // Scale down the effect
-      const scaledOffset = this.armSpaceOffset * 0.15;
+    hips.updateWorldMatrix(true, true);
+    const shoulderWidth = this.getBonePosition("leftUpperArm", _a).distanceTo(
+      this.getBonePosition("rightUpperArm", _b)
+    );
+    this.updateBodyCapsules(shoulderWidth);
+    this.solveArm("left", shoulderWidth);
+    this.solveArm("right", shoulderWidth);
+  }
 
-      // Create rotation quaternions for the adjustment
-      const leftAdjustment = new THREE.Quaternion().setFromEuler(
-        new THREE.Euler(0, 0, -scaledOffset)
-      );
-      const rightAdjustment = new THREE.Quaternion().setFromEuler(
-        new THREE.Euler(0, 0, scaledOffset)
+  // World position of a normalized bone; world matrices must be up to date
+  getBonePosition(name, target) {
+    const node = this.vrm.humanoid.getNormalizedBoneNode(name);
+    return node ? target.setFromMatrixPosition(node.matrixWorld) : null;
+  }
+
+  // Reuses the capsule at `index`, creating it the first time
+  setBodyCapsule(index, start, end, radius) {
+    this.bodyCapsules[index] ??= new Capsule();
+    this.bodyCapsules[index].set(start, end, radius);
+  }
+
+  updateBodyCapsules(shoulderWidth) {
+    const config = this.config;
+    let count = 0;
+    const segment = (from, to, radius) => {
+      const start = this.getBonePosition(from, new THREE.Vector3());
+      const end = this.getBonePosition(to, new THREE.Vector3());
+      if (start && end) this.setBodyCapsule(count++, start, end, radius);
+    };
+
+    const chestTop = this.vrm.humanoid.getNormalizedBoneNode("neck")
+      ? "neck"
+      : "chest";
+    segment("spine", chestTop, config.torsoRadius * shoulderWidth);
+    segment("leftUpperLeg", "rightUpperLeg", config.hipsRadius * shoulderWidth);
+    segment("leftUpperLeg", "leftLowerLeg", config.thighRadius * shoulderWidth);
+    segment(
+      "rightUpperLeg",
+      "rightLowerLeg",
+      config.thighRadius * shoulderWidth
+    );
+
+    // The head, from its bone up along its own up axis
+    const head = this.vrm.humanoid.getNormalizedBoneNode("head");
+    if (head) {
+      const start = new THREE.Vector3().setFromMatrixPosition(head.matrixWorld);
+      const end = new THREE.Vector3()
+        .setFromMatrixColumn(head.matrixWorld, 1)
+        .normalize()
+        .multiplyScalar(0.4 * shoulderWidth)
+        .add(start);
+      this.setBodyCapsule(
+        count++,
+        start,
+        end,
+        config.headRadius * shoulderWidth
       );
+    }
+
+    if (config.useSpringBoneColliders && this.colliders.length > 0) {
+      // Colliders hang off the raw bones, which only follow the animation in vrm.update
+      this.vrm.humanoid.update();
+      for (const collider of this.colliders) {
+        collider.updateWorldMatrix(true, false);
+        const { shape } = collider;
+        const start = shape.offset.clone().applyMatrix4(collider.matrixWorld);
+        const end = (shape.type === "capsule" ? shape.tail : shape.offset)
+          .clone()
+          .applyMatrix4(collider.matrixWorld);
+        this.setBodyCapsule(count++, start, end, shape.radius);
+      }
+    }
+    this.bodyCapsules.length = count;
+  }
+
+  updateArmCapsules(side, shoulderWidth) {
+    const config = this.config;
+    const [upper, lower, hand] = this.armCapsules;
+    this.getBonePosition(`${side}UpperArm`, _shoulder);
+    this.getBonePosition(`${side}LowerArm`, _elbow);
+    this.getBonePosition(`${side}Hand`, _wrist);
+    // The hand reaches about twice as far as its knuckles
+    if (this.getBonePosition(`${side}MiddleProximal`, _handEnd)) {
+      _handEnd.sub(_wrist).multiplyScalar(2).add(_wrist);
+    } else {
+      _handEnd.subVectors(_wrist, _elbow).multiplyScalar(0.4).add(_wrist);
+    }
+
+    upper.start.lerpVectors(_shoulder, _elbow, config.shoulderSkip);
+    upper.end.copy(_elbow);
+    upper.radius = config.upperArmRadius * shoulderWidth;
+    lower.start.copy(_elbow);
+    lower.end.copy(_wrist);
+    lower.radius = config.lowerArmRadius * shoulderWidth;
+    hand.start.copy(_wrist);
+    hand.end.copy(_handEnd);
+    hand.radius = config.handRadius * shoulderWidth;
+  }
+
+  // Turns the upper arm at the shoulder until the arm clears the body by the margin
+  solveArm(side, shoulderWidth) {
+    const upperArm = this.vrm.humanoid.getNormalizedBoneNode(`${side}UpperArm`);
+    if (
+      !this.vrm.humanoid.getNormalizedBoneNode(`${side}LowerArm`) ||
+      !this.vrm.humanoid.getNormalizedBoneNode(`${side}Hand`)
+    ) {
+      return;
+    }
+
+    let remaining = THREE.MathUtils.degToRad(this.config.maxCorrection);
+    for (let i = 0; i < this.config.iterations && remaining > 0; i++) {
+      this.updateArmCapsules(side, shoulderWidth);
+
+      // The deepest overlap of any arm capsule with any body capsule
+      let depth = 0;
+      for (const armCapsule of this.armCapsules) {
+        for (const bodyCapsule of this.bodyCapsules) {
+          const penetration =
+            getCapsulePenetration(armCapsule, bodyCapsule, _a, _b) +
+            this.margin;
+          if (penetration > depth) {
+            depth = penetration;
+            _pointOnArm.copy(_a);
+            _pointOnBody.copy(_b);
+          }
+        }
+      }
+      if (depth <= 0) break;
+
+      // Push that point straight out of the body, turning the arm about the shoulder
+      _push.subVectors(_pointOnArm, _pointOnBody);
+      if (_push.lengthSq() < 1e-8) _push.subVectors(_shoulder, _pointOnBody);
+      _push.normalize();
+      _from.subVectors(_pointOnArm, _shoulder);
+      _to.copy(_from).addScaledVector(_push, depth);
+      if (_from.lengthSq() < 1e-8) break;
+      _delta.setFromUnitVectors(_from.normalize(), _to.normalize());
+
+      const angle = 2 * Math.acos(Math.min(1, Math.abs(_delta.w)));
+      if (angle > remaining)
+        _delta.slerpQuaternions(_identity, _delta, remaining / angle);
+      remaining -= angle;
 
-      // Apply as an additional rotation on top of the current animation pose
-      leftArm.quaternion.multiply(leftAdjustment);
-      rightArm.quaternion.multiply(rightAdjustment);
+      // The rotation is in world space; bring it into the upper arm's parent space
+      upperArm.parent.getWorldQuaternion(_parentQuaternion);
+      upperArm.quaternion
+        .premultiply(_parentQuaternion)
+        .premultiply(_delta)
+        .premultiply(_parentQuaternion.invert());
+      upperArm.updateWorldMatrix(false, true);
     }
   }
 }
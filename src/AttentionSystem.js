@@ -0,0 +1,200 @@
+import * as THREE from "three";
+
+const _toTarget = new THREE.Vector3();
+
+/**
+ * Decides what a character looks at. Targets (the camera, a pointer hit, other
+ * characters, scene objects) are registered with a priority and an interest level that
+ * decays over time; each update the highest-priority target that is still interesting
+ * and within its distance and angle limits wins, and the gaze moves over to it smoothly.
+ * When no target qualifies, the fallback target (usually the camera) is used.
+ */
+export class AttentionSystem {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.transitionTime=0.4] - Seconds to move the gaze to a new target.
+   * @param {number} [options.switchMargin=0.1] - How much more interest a target of the same
+   *   priority needs before attention switches to it, so it doesn't flicker between them.
+   */
+  constructor({ transitionTime = 0.4, switchMargin = 0.1 } = {}) {
+    this.transitionTime = transitionTime;
+    this.switchMargin = switchMargin;
+    this.targets = new Map();
+    this.fallback = null; // Name of the target used when no other qualifies
+
+    this.current = null; // The target being looked at
+    this.point = new THREE.Vector3(); // Where attention is, in world space
+    this.hasPoint = false; // Whether attention has been anywhere yet
+    this.faceQuaternion = null; // The current target's orientation, if it has a face
+    this.transitionFrom = new THREE.Vector3();
+    this.transitionElapsed = Infinity;
+    this.snapNext = false;
+  }
+
+  /**
+   * Registers a target, or replaces the one with the same name.
+   * @param {string} name - A name to refer to the target by.
+   * @param {THREE.Object3D|THREE.Vector3|function(): ?THREE.Vector3} source - What to look at:
+   *   an object (followed as it moves), a fixed point, or a function returning the current
+   *   point (or null while there is none, e.g. a pointer that hits nothing).
+   * @param {object} [options]
+   * @param {number} [options.priority=1] - Higher priorities win over lower ones.
+   * @param {number} [options.interest=1] - Starting interest; the target is ignored once it reaches 0.
+   * @param {number} [options.decay=0] - Interest lost per second. 0 keeps it interesting forever.
+   * @param {number} [options.maxDistance=Infinity] - Ignored beyond this distance (metres).
+   * @param {number} [options.maxAngle=180] - Ignored beyond this angle (degrees) from where the body faces.
+   * @param {THREE.Vector3} [options.offset] - Added to the target's position, in world space.
+   * @param {boolean} [options.face] - Whether the eyes fixate the target's face regions
+   *   (see EyeMovement). Defaults to true for objects, false for points.
+   * @param {boolean} [options.temporary=false] - Remove the target once its interest runs out.
+   * @returns {object} The target entry; its fields can be changed later.
+   */
+  addTarget(name, source, options = {}) {
+    const entry = {
+      name,
+      source,
+      priority: options.priority ?? 1,
+      interest: options.interest ?? 1,
+      decay: options.decay ?? 0,
+      maxDistance: options.maxDistance ?? Infinity,
+      maxAngle: options.maxAngle ?? 180,
+      offset: options.offset?.clone() ?? new THREE.Vector3(),
+      face: options.face ?? source instanceof THREE.Object3D,
+      temporary: options.temporary ?? false,
+      position: new THREE.Vector3(),
+    };
+    this.targets.set(name, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} name - The target to remove.
+   */
+  removeTarget(name) {
+    this.targets.delete(name);
+    if (this.current?.name === name) this.current = null;
+  }
+
+  /**
+   * @param {string} name - The target name.
+   * @returns {object|undefined} The target entry.
+   */
+  getTarget(name) {
+    return this.targets.get(name);
+  }
+
+  /**
+   * Renews a target's interest, e.g. when the pointer moves again.
+   * @param {string} name - The target name.
+   * @param {number} [interest=1] - The new interest level.
+   */
+  poke(name, interest = 1) {
+    const entry = this.targets.get(name);
+    if (entry) entry.interest = Math.max(entry.interest, interest);
+  }
+
+  /**
+   * Jumps straight to the current target on the next update, skipping the transition.
+   */
+  snap() {
+    this.snapNext = true;
+  }
+
+  /**
+   * Decays interest, picks the target to look at and moves attention towards it.
+   * @param {number} deltaTime - Seconds since the last update.
+   * @param {THREE.Vector3} viewerPosition - Where the looking character's head is.
+   * @param {THREE.Vector3} viewerForward - The direction its body faces (normalized).
+   * @returns {object|null} The target being looked at; its point is in `this.point`.
+   */
+  update(deltaTime, viewerPosition, viewerForward) {
+    let best = null;
+    for (const entry of [...this.targets.values()]) {
+      entry.interest = Math.max(0, entry.interest - entry.decay * deltaTime);
+      if (entry.interest <= 0 && entry.temporary) {
+        this.removeTarget(entry.name);
+        continue;
+      }
+      const resolved = this.resolvePosition(entry);
+      if (!resolved || entry.interest <= 0) continue;
+      if (!this.isWithinLimits(entry, viewerPosition, viewerForward)) continue;
+      if (!best || this.compare(entry, best) > 0) best = entry;
+    }
+
+    // Keep the current target unless the best one clearly beats it
+    const current = this.current && this.targets.get(this.current.name);
+    if (
+      best &&
+      current &&
+      best !== current &&
+      current.interest > 0 &&
+      this.resolvePosition(current) &&
+      this.isWithinLimits(current, viewerPosition, viewerForward) &&
+      best.priority === current.priority &&
+      best.interest < current.interest + this.switchMargin
+    ) {
+      best = current;
+    }
+
+    if (!best) {
+      const fallback = this.targets.get(this.fallback);
+      best = fallback && this.resolvePosition(fallback) ? fallback : null;
+    }
+    if (!best) return null;
+
+    if (best !== this.current) {
+      this.transitionFrom.copy(this.point);
+      // Only the very first target is jumped to; after a removed target there is still
+      // a point to move over from
+      this.transitionElapsed = this.hasPoint ? 0 : Infinity;
+      this.hasPoint = true;
+      this.current = best;
+    }
+    if (this.snapNext) {
+      this.transitionElapsed = Infinity;
+      this.snapNext = false;
+    }
+
+    this.transitionElapsed += deltaTime;
+    const progress = Math.min(this.transitionElapsed / this.transitionTime, 1);
+    const t = progress * progress * (3 - 2 * progress);
+    this.point.lerpVectors(this.transitionFrom, best.position, t);
+    this.faceQuaternion =
+      best.face && best.source instanceof THREE.Object3D
+        ? best.source.getWorldQuaternion(
+            this.faceQuaternion ?? new THREE.Quaternion()
+          )
+        : null;
+    return best;
+  }
+
+  // Higher priority first, then more interest
+  compare(a, b) {
+    return a.priority - b.priority || a.interest - b.interest;
+  }
+
+  // Updates entry.position from its source; false if it currently has none
+  resolvePosition(entry) {
+    const { source } = entry;
+    if (source instanceof THREE.Object3D) {
+      source.getWorldPosition(entry.position);
+    } else if (typeof source === "function") {
+      const point = source();
+      if (!point) return false;
+      entry.position.copy(point);
+    } else {
+      entry.position.copy(source);
+    }
+    entry.position.add(entry.offset);
+    return true;
+  }
+
+  isWithinLimits(entry, viewerPosition, viewerForward) {
+    _toTarget.subVectors(entry.position, viewerPosition);
+    const distance = _toTarget.length();
+    if (distance > entry.maxDistance) return false;
+    if (entry.maxAngle >= 180 || distance === 0) return true;
+    const angle = THREE.MathUtils.radToDeg(_toTarget.angleTo(viewerForward));
+    return angle <= entry.maxAngle;
+  }
+}
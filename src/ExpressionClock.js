@@ -0,0 +1,61 @@
+/**
+ * The time source for the expression subsystem (blinks, emotions, timed expressions,
+ * lip-sync). Every part reads the same `time` and `deltaTime`, so nothing mixes
+ * wall-clock time with frame time.
+ *
+ * The render loop feeds it real frame deltas with tick(), which applies timeScale and
+ * pausing. Tests can instead call step() to advance by exact amounts.
+ */
+export class ExpressionClock {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeScale=1] - Multiplier for ticked time, e.g. params.timeScale.
+   */
+  constructor({ timeScale = 1 } = {}) {
+    this.time = 0; // Scaled seconds since the clock was created
+    this.deltaTime = 0; // Scaled seconds of the last tick or step
+    this.timeScale = timeScale;
+    this.paused = false;
+    this.frame = 0; // Incremented by every tick and step
+  }
+
+  /**
+   * Advances by a real frame delta, scaled by timeScale; nothing while paused.
+   * @param {number} realDeltaTime - Seconds since the last frame, e.g. from THREE.Clock.getDelta().
+   * @returns {number} The scaled delta.
+   */
+  tick(realDeltaTime) {
+    return this.advance(this.paused ? 0 : realDeltaTime * this.timeScale);
+  }
+
+  /**
+   * Advances by exactly the given time, ignoring timeScale and pausing, for deterministic stepping.
+   * @param {number} deltaTime - Seconds to advance.
+   * @returns {number} The delta.
+   */
+  step(deltaTime) {
+    return this.advance(deltaTime);
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * @param {number} timeScale - Multiplier for ticked time; 0 freezes expressions like pausing.
+   */
+  setTimeScale(timeScale) {
+    this.timeScale = timeScale;
+  }
+
+  advance(deltaTime) {
+    this.deltaTime = deltaTime;
+    this.time += deltaTime;
+    this.frame++;
+    return deltaTime;
+  }
+}
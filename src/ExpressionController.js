@@ -1,25 +1,110 @@
 // src/controllers/ExpressionController.js
 import * as THREE from "three";
+import { LipSyncController } from "./LipSyncController.js";
+import { PhonemeTimeline } from "./PhonemeTimeline.js";
+import { Visemes } from "./utils/visemeAnalysis.js";
+import { ExpressionClock } from "./ExpressionClock.js";
+import { ExpressionSequence } from "./ExpressionSequence.js";
+import { defaultExpressionPresets } from "./expressionPresets.js";
+import { createRandom } from "./utils/random.js";
+import { getClipExpressionTarget } from "./utils/expressionTracks.js";
+import {
+  setExpressionOverrides,
+  hasExpressionOverrides,
+  getOverrideWeights,
+} from "./utils/expressionOverrides.js";
+import { defaultExpressionOverrides } from "./expressionOverrideRules.js";
 
 export class ExpressionController {
-  constructor(vrm) {
+  /**
+   * @param {VRM} vrm - The VRM whose expressions to drive.
+   * @param {object} [options]
+   * @param {ExpressionClock} [options.clock] - The time source for every expression; pass one
+   *   to share it, pause it, or step it by hand in tests.
+   * @param {number} [options.seed] - Seed for blink timing, for reproducible runs.
+   * @param {object} [options.overrides] - Override rules for this model (see setOverrides).
+   *   Without them, the model's own rules are kept, or defaultExpressionOverrides are used
+   *   if it has none.
+   */
+  constructor(vrm, options = {}) {
     this.vrm = vrm;
+    this.clock = options.clock ?? new ExpressionClock();
     this.activeExpressions = new Map();
-    this.blinkController = new BlinkController();
+    this.blinkController = new BlinkController(createRandom(options.seed));
     this.emotionController = new EmotionController();
+    this.lipSyncController = new LipSyncController();
+    this.phonemePlayer = null;
+    // Expression weights from animation clips, the base everything here is layered on
+    this.clipExpressions = vrm?.scene ? getClipExpressionTarget(vrm) : null;
+
+    if (vrm?.expressionManager) {
+      const modelHasRules = hasExpressionOverrides(vrm.expressionManager);
+      this.setOverrides(
+        options.overrides ?? (modelHasRules ? {} : defaultExpressionOverrides)
+      );
+    }
+
+    // Named sequences for playSequence: name -> ExpressionSequence
+    this.presets = new Map();
+    this.addPresets(defaultExpressionPresets);
+    // Sequences currently playing: name -> { sequence, resolve }
+    this.sequences = new Map();
   }
 
-  update(currentTime, deltaTime) {
+  /**
+   * Advances the clock by a real frame delta (scaled by its timeScale, nothing while
+   * paused) and applies all expressions. Call once per frame.
+   * @param {number} deltaTime - Real seconds since the last frame.
+   */
+  update(deltaTime) {
+    this.clock.tick(deltaTime);
+    this.applyExpressions();
+  }
+
+  /**
+   * Advances by exactly deltaTime, ignoring the clock's timeScale and pausing, and
+   * applies all expressions. For tests and frame-by-frame stepping.
+   * @param {number} deltaTime - Seconds to advance.
+   */
+  step(deltaTime) {
+    this.clock.step(deltaTime);
+    this.applyExpressions();
+  }
+
+  // Applies blink, emotions, lip-sync and active expressions at the clock's current time.
+  // Every expression starts from its animation clip weight each frame; blink, emotions and
+  // lip-sync can only raise it, while active expressions (setExpression, sequences,
+  // phonemes) override it.
+  applyExpressions() {
     if (!this.vrm || !this.vrm.expressionManager) return;
+    const { time: currentTime, deltaTime } = this.clock;
+    const base = this.clipExpressions?.weights ?? {};
+    for (const [expression, weight] of Object.entries(base)) {
+      this.vrm.expressionManager.setValue(expression, weight);
+    }
+    const addToBase = (expression, weight) => {
+      this.vrm.expressionManager.setValue(
+        expression,
+        Math.max(base[expression] ?? 0, weight)
+      );
+    };
 
     // Update blink
     const blinkValue = this.blinkController.update(currentTime, deltaTime);
-    this.vrm.expressionManager.setValue("blink", blinkValue);
+    addToBase("blink", blinkValue);
 
     // Update emotions
-    const emotions = this.emotionController.getActiveEmotions();
+    const emotions = this.emotionController.getActiveEmotions(deltaTime);
     for (const [emotion, weight] of emotions) {
-      this.vrm.expressionManager.setValue(emotion, weight);
+      addToBase(emotion, weight);
+    }
+
+    // Update lip-sync visemes (aa, ih, ou, ee, oh) while audio is connected
+    if (this.lipSyncController.active) {
+      const visemes = this.lipSyncController.update(deltaTime);
+      for (const [viseme, weight] of Object.entries(visemes)) {
+        addToBase(viseme, weight);
+      }
     }
 
     // Update any other active expressions
@@ -31,12 +116,21 @@ export class ExpressionController {
         this.vrm.expressionManager.setValue(expression, data.value);
       }
     }
+
+    // Retire sequences that have played to the end; their last values were written above.
+    for (const playback of this.sequences.values()) {
+      const elapsed = (currentTime - playback.startTime) * playback.speed;
+      if (!playback.loop && elapsed >= playback.sequence.duration) {
+        this.releaseSequence(playback);
+        playback.resolve(true);
+      }
+    }
   }
 
   setExpression(name, value, options = {}) {
     if (options.duration) {
       // Animated expression
-      const startTime = performance.now() / 1000;
+      const startTime = this.clock.time;
       const startValue = this.getExpressionValue(name);
 
       this.activeExpressions.set(name, {
@@ -53,26 +147,302 @@ export class ExpressionController {
     }
   }
 
+  /**
+   * Lip-syncs to a phoneme timeline, e.g. the phoneme timings of a TTS engine.
+   * The visemes are driven through activeExpressions, so they take precedence over
+   * audio-analysis lip-sync while the timeline plays.
+   *
+   * @param {PhonemeTimeline|object[]|object} timeline - A PhonemeTimeline, or the data for one.
+   * @param {object} [options] - PhonemeTimeline options, plus:
+   * @param {HTMLMediaElement|function(): number} [options.clock] - What to sync to: the audio
+   *   element playing the speech, or a function returning the playback time in seconds.
+   *   Without one the timeline runs on the update clock from now. Playback ends when the
+   *   audio does, or when the function's time stops advancing after the last phoneme.
+   * @returns {PhonemePlayer} Controls for pausing and seeking.
+   */
+  playPhonemes(timeline, options = {}) {
+    this.stopPhonemes();
+    if (!(timeline instanceof PhonemeTimeline)) {
+      timeline = new PhonemeTimeline(timeline, options);
+    }
+    const player = new PhonemePlayer(timeline, options.clock, this.clock);
+
+    for (const viseme of Visemes) {
+      this.activeExpressions.set(viseme, {
+        player,
+        update: (_, deltaTime) => {
+          const weights = player.sample(deltaTime);
+          if (player.finished) {
+            if (this.activeExpressions.get(viseme)?.player === player) {
+              this.activeExpressions.delete(viseme);
+            }
+            return 0;
+          }
+          return weights[viseme];
+        },
+      });
+    }
+
+    this.phonemePlayer = player;
+    return player;
+  }
+
+  /**
+   * Stops the phoneme timeline started with playPhonemes, and the audio element it syncs
+   * to. The mouth closes on the next update.
+   */
+  stopPhonemes() {
+    if (!this.phonemePlayer) return;
+    this.phonemePlayer.stop();
+    this.phonemePlayer = null;
+  }
+
+  /**
+   * Plays an expression sequence: keyframed weights for any expressions, e.g. a wink.
+   * Its tracks are driven through activeExpressions, so they take precedence over blinks,
+   * emotions and lip-sync while it plays. Playing a sequence that is already playing
+   * restarts it.
+   *
+   * @param {string|ExpressionSequence|object} sequence - A preset name, an ExpressionSequence,
+   *   or the data for one.
+   * @param {object} [options]
+   * @param {boolean} [options.loop=false] - Repeat until stopSequence is called.
+   * @param {number} [options.speed=1] - Playback speed multiplier.
+   * @returns {Promise<boolean>} Resolves with true when the sequence has played to the end,
+   *   or with false if it is stopped or restarted first.
+   */
+  playSequence(sequence, options = {}) {
+    const { loop = false, speed = 1 } = options;
+    if (typeof sequence === "string") {
+      const preset = this.presets.get(sequence);
+      if (!preset) {
+        console.warn(`ExpressionController: Unknown expression preset "${sequence}".`);
+        return Promise.resolve(false);
+      }
+      sequence = preset;
+    } else if (!(sequence instanceof ExpressionSequence)) {
+      sequence = new ExpressionSequence(sequence);
+    }
+    this.stopSequence(sequence.name);
+
+    const available = new Set(this.getAvailableExpressions());
+    const missing = sequence.expressionNames.filter((name) => !available.has(name));
+    if (missing.length > 0) {
+      console.warn(
+        `ExpressionController: "${sequence.name}" animates expressions this model doesn't have: ${missing.join(", ")}`
+      );
+    }
+
+    return new Promise((resolve) => {
+      const playback = {
+        sequence,
+        startTime: this.clock.time,
+        loop,
+        speed,
+        resolve,
+        expressions: sequence.expressionNames.filter((name) => available.has(name)),
+      };
+      for (const expression of playback.expressions) {
+        this.activeExpressions.set(expression, {
+          playback,
+          update: (currentTime) =>
+            sequence.evaluate(expression, this.getSequenceTime(playback, currentTime)),
+        });
+      }
+      this.sequences.set(sequence.name, playback);
+    });
+  }
+
+  /**
+   * Stops a sequence started with playSequence, or all of them. Its expressions go back
+   * to their other sources (clips, emotions, ...) on the next update.
+   * @param {string} [name] - The sequence (preset) name. Stops every sequence when omitted.
+   */
+  stopSequence(name) {
+    const names = name ? [name] : [...this.sequences.keys()];
+    for (const sequenceName of names) {
+      const playback = this.sequences.get(sequenceName);
+      if (!playback) continue;
+      this.releaseSequence(playback);
+      playback.resolve(false);
+    }
+  }
+
+  /**
+   * Adds named sequences that playSequence can play by name, replacing any with the same name.
+   * @param {object} presets - Sequence data by name, e.g. parsed from a JSON file
+   *   (see expressionPresets.js).
+   * @returns {string[]} The names added.
+   */
+  addPresets(presets) {
+    const names = Object.keys(presets);
+    for (const name of names) {
+      this.presets.set(name, new ExpressionSequence(presets[name], name));
+    }
+    return names;
+  }
+
+  /**
+   * Loads presets from a JSON file of the same shape as addPresets takes.
+   * @param {string} url - The URL of the JSON file.
+   * @returns {Promise<string[]>} The names added.
+   */
+  async loadPresets(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(
+        `ExpressionController: Could not load presets from ${url} (${response.status}).`
+      );
+    }
+    return this.addPresets(await response.json());
+  }
+
+  // Seconds into the sequence at a clock time; wraps when looping and holds the end otherwise
+  getSequenceTime(playback, currentTime) {
+    const { sequence, startTime, loop, speed } = playback;
+    const time = (currentTime - startTime) * speed;
+    if (loop && sequence.duration > 0) return time % sequence.duration;
+    return Math.min(time, sequence.duration);
+  }
+
+  // Removes a sequence and the activeExpressions entries it still owns
+  releaseSequence(playback) {
+    this.sequences.delete(playback.sequence.name);
+    for (const expression of playback.expressions) {
+      if (this.activeExpressions.get(expression)?.playback === playback) {
+        this.activeExpressions.delete(expression);
+      }
+    }
+  }
+
+  /**
+   * Sets which expressions suppress blinks, eye gaze and mouth shapes while they show,
+   * with VRM 1.0 semantics ("none", "block" or "blend"). Applies to every source: a
+   * happy emotion suppresses procedural blinks, clip blinks and sequence winks alike.
+   * @param {object} rules - Rules by expression name, e.g.
+   *   `{ happy: { overrideBlink: "blend", overrideLookAt: "blend", overrideMouth: "none" } }`.
+   *   Properties not given are left as they are.
+   */
+  setOverrides(rules) {
+    setExpressionOverrides(this.vrm.expressionManager, rules);
+  }
+
+  /**
+   * @returns {{blink: number, lookAt: number, mouth: number}} How much of blinks, gaze and
+   *   mouth shapes the current expressions leave, from 0 (suppressed) to 1.
+   */
+  getOverrideWeights() {
+    if (!this.vrm?.expressionManager) return { blink: 1, lookAt: 1, mouth: 1 };
+    return getOverrideWeights(this.vrm.expressionManager);
+  }
+
   getExpressionValue(name) {
     return this.vrm.expressionManager?.getValue(name) || 0;
   }
 
-  // List all available expressions
+  // List all available expression names, e.g. for sequence tracks
   getAvailableExpressions() {
     if (!this.vrm?.expressionManager) return [];
-    return Object.keys(this.vrm.expressionManager.expressions);
+    return Object.keys(this.vrm.expressionManager.expressionMap);
+  }
+}
+
+// Plays a PhonemeTimeline against an audio clock or its own
+class PhonemePlayer {
+  constructor(timeline, clock, expressionClock) {
+    this.timeline = timeline;
+    this.clock = clock ?? null;
+    this.expressionClock = expressionClock;
+    this.time = 0; // Own clock, when there is no external one
+    this.isPaused = false;
+    this.stopped = false;
+    this.lastFrame = null;
+    this.weights = {};
+    // How long a function clock has stood still after the last phoneme
+    this.lastTime = null;
+    this.stalledTime = 0;
+  }
+
+  get currentTime() {
+    if (typeof this.clock === "function") return this.clock();
+    if (this.clock) return this.clock.currentTime;
+    return this.time;
+  }
+
+  get paused() {
+    if (this.clock && typeof this.clock !== "function") return this.clock.paused;
+    return this.isPaused;
+  }
+
+  // Whether the mouth has closed after the last phoneme, or the player was stopped. An
+  // audio element's time stops at its end, which can come before the mouth has closed, and
+  // a function clock may stop advancing, so both also finish when their source does.
+  get finished() {
+    if (this.stopped) return true;
+    const tail = this.timeline.coarticulation * 3;
+    if (this.currentTime > this.timeline.duration + tail) return true;
+    if (typeof this.clock === "function") return this.stalledTime > tail;
+    if (this.clock) {
+      return this.clock.ended || this.clock.currentTime >= this.clock.duration;
+    }
+    return false;
+  }
+
+  // Pausing and seeking drive the audio element when syncing to one, so both stay together.
+  pause() {
+    if (this.clock && typeof this.clock !== "function") this.clock.pause();
+    else this.isPaused = true;
+  }
+
+  resume() {
+    if (this.clock && typeof this.clock !== "function") this.clock.play();
+    else this.isPaused = false;
+  }
+
+  seek(time) {
+    if (typeof this.clock === "function") {
+      console.warn("PhonemePlayer: Can't seek a function clock; seek its source instead.");
+    } else if (this.clock) {
+      this.clock.currentTime = time;
+    } else {
+      this.time = time;
+    }
+  }
+
+  // Stopping also stops the audio element, like pausing does
+  stop() {
+    this.stopped = true;
+    if (this.clock && typeof this.clock !== "function") this.clock.pause();
+  }
+
+  // Called once per viseme each frame; advances and evaluates only on the first call.
+  sample(deltaTime) {
+    if (this.expressionClock.frame !== this.lastFrame) {
+      this.lastFrame = this.expressionClock.frame;
+      if (!this.clock && !this.isPaused) this.time += deltaTime;
+      const time = this.currentTime;
+      if (typeof this.clock === "function") {
+        const stalled = time === this.lastTime && time >= this.timeline.duration;
+        this.stalledTime = stalled ? this.stalledTime + deltaTime : 0;
+        this.lastTime = time;
+      }
+      this.timeline.evaluate(time, this.weights);
+    }
+    return this.weights;
   }
 }
 
 // Dedicated blink controller
 class BlinkController {
-  constructor() {
+  constructor(random = Math.random) {
+    this.random = random;
     this.nextBlinkTime = 0;
     this.blinkStartTime = -1;
     this.isBlinking = false;
     this.blinkSpeed = 1.0;
     this.doubleBlinkActive = false;
     this.doubleBlinkCount = 0;
+    this.blinkRequested = false;
 
     // Configuration
     this.config = {
@@ -81,12 +451,18 @@ class BlinkController {
       maxInterval: 15.0,
       doubleBlinkChance: 0.1,
       speedVariation: 0.4,
+      // Gaze shifts of at least this many degrees may come with a blink (see onGazeShift)
+      gazeShiftThreshold: 10,
+      gazeShiftBlinkChance: 0.5,
     };
   }
 
   update(currentTime, deltaTime) {
     // Start blink if it's time
-    if (!this.isBlinking && currentTime >= this.nextBlinkTime) {
+    if (
+      !this.isBlinking &&
+      (currentTime >= this.nextBlinkTime || this.blinkRequested)
+    ) {
       this.startBlink(currentTime);
     }
 
@@ -98,18 +474,35 @@ class BlinkController {
     return 0;
   }
 
+  // Blinks on the next update, unless a blink is already under way
+  requestBlink() {
+    if (!this.isBlinking) this.blinkRequested = true;
+  }
+
+  // People tend to blink during large gaze shifts; call this when the eyes jump,
+  // e.g. from EyeMovement's "saccade" event.
+  onGazeShift(amplitude) {
+    if (
+      amplitude >= this.config.gazeShiftThreshold &&
+      this.random() < this.config.gazeShiftBlinkChance
+    ) {
+      this.requestBlink();
+    }
+  }
+
   startBlink(currentTime) {
     this.isBlinking = true;
+    this.blinkRequested = false;
     this.blinkStartTime = currentTime;
     this.blinkSpeed =
       1.0 -
       this.config.speedVariation / 2 +
-      Math.random() * this.config.speedVariation;
+      this.random() * this.config.speedVariation;
 
     // Chance for double blink
     if (
       !this.doubleBlinkActive &&
-      Math.random() < this.config.doubleBlinkChance
+      this.random() < this.config.doubleBlinkChance
     ) {
       this.doubleBlinkActive = true;
       this.doubleBlinkCount = 0;
@@ -143,7 +536,7 @@ class BlinkController {
       this.nextBlinkTime =
         currentTime +
         this.config.minInterval +
-        Math.random() * (this.config.maxInterval - this.config.minInterval);
+        this.random() * (this.config.maxInterval - this.config.minInterval);
     }
   }
 
@@ -153,94 +546,164 @@ class BlinkController {
   }
 }
 
-// Emotion controller for managing facial expressions
+// Emotions without an entry in emotionRegions are assumed to move both
+const defaultEmotionRegions = ["mouth", "eyes"];
+
+// Emotion controller for managing facial expressions.
+// Holds a weighted set of emotions that fade towards their own targets at their own speeds.
 class EmotionController {
   constructor() {
-    this.currentEmotion = null;
-    this.emotionWeight = 0;
-    this.targetWeight = 0;
+    this.emotions = new Map(); // name -> { weight, targetWeight, speed }
     this.transitionSpeed = 2.0; // Units per second
+    // Per-emotion defaults, e.g. a faster onset for surprise
+    this.transitionSpeeds = { surprised: 4.0 };
+
+    // Which parts of the face each emotion moves. The weights in each region are
+    // scaled down together when they add up to more than maxRegionWeight, since
+    // stacked mouth or eye shapes distort the face.
+    this.emotionRegions = {
+      happy: ["mouth", "eyes"],
+      angry: ["mouth", "eyes"],
+      sad: ["mouth", "eyes"],
+      relaxed: ["mouth", "eyes"],
+      surprised: ["mouth", "eyes"],
+      neutral: [],
+    };
+    this.maxRegionWeight = 1.0;
   }
 
-  setEmotion(emotion, weight = 1.0, immediate = false) {
-    // Clear previous emotion
-    if (this.currentEmotion && this.currentEmotion !== emotion) {
-      this.targetWeight = 0;
-      // Will switch to new emotion once faded out
-      this.pendingEmotion = emotion;
-      this.pendingWeight = weight;
-    } else {
-      this.currentEmotion = emotion;
-      this.targetWeight = weight;
-      if (immediate) {
-        this.emotionWeight = weight;
+  /**
+   * Fades an emotion to a weight.
+   * @param {string} emotion - The expression name, e.g. "happy".
+   * @param {number} [weight=1.0] - The target weight.
+   * @param {object|boolean} [options] - Options, or `immediate` for backwards compatibility.
+   * @param {boolean} [options.immediate=false] - Jump to the weight instead of fading.
+   * @param {number} [options.speed] - Fade speed in weight per second for this emotion.
+   * @param {boolean} [options.exclusive=true] - Fade out every other emotion at the same
+   *   time (a cross-fade). Pass false to blend with them, e.g. relaxed + happy.
+   */
+  setEmotion(emotion, weight = 1.0, options = {}) {
+    if (typeof options === "boolean") options = { immediate: options };
+    const { immediate = false, speed, exclusive = true } = options;
+
+    if (exclusive) {
+      for (const name of this.emotions.keys()) {
+        if (name !== emotion) this.fadeTo(name, 0, { immediate });
       }
     }
+    this.fadeTo(emotion, weight, { immediate, speed });
   }
 
-  getActiveEmotions() {
-    const emotions = new Map();
+  /**
+   * Fades to a set of emotions at once; emotions not listed fade out.
+   * @param {object} weights - Target weight by emotion name, e.g. { relaxed: 0.5, happy: 0.7 }.
+   * @param {object} [options] - `immediate` and `speed`, as for setEmotion.
+   */
+  setEmotions(weights, options = {}) {
+    for (const name of this.emotions.keys()) {
+      if (!(name in weights)) this.fadeTo(name, 0, options);
+    }
+    for (const [name, weight] of Object.entries(weights)) {
+      this.fadeTo(name, weight, options);
+    }
+  }
 
-    if (this.currentEmotion && this.emotionWeight > 0) {
-      emotions.set(this.currentEmotion, this.emotionWeight);
+  /**
+   * Fades one emotion, or all of them, back to zero.
+   * @param {string} [emotion] - The emotion to clear. Clears all when omitted.
+   * @param {object} [options] - `immediate` and `speed`, as for setEmotion.
+   */
+  clearEmotion(emotion, options = {}) {
+    const names = emotion ? [emotion] : [...this.emotions.keys()];
+    for (const name of names) {
+      if (this.emotions.has(name)) this.fadeTo(name, 0, options);
     }
+  }
 
-    // Update weight
-    if (this.emotionWeight !== this.targetWeight) {
-      const delta = this.targetWeight - this.emotionWeight;
-      const change = Math.sign(delta) * this.transitionSpeed * 0.016; // Assume ~60fps
+  /**
+   * Sets the default fade speed of an emotion.
+   * @param {string} emotion - The emotion name.
+   * @param {number} speed - Weight per second.
+   */
+  setTransitionSpeed(emotion, speed) {
+    this.transitionSpeeds[emotion] = speed;
+  }
 
-      if (Math.abs(delta) < Math.abs(change)) {
-        this.emotionWeight = this.targetWeight;
-      } else {
-        this.emotionWeight += change;
+  // The target weight of an emotion (0 when it isn't set)
+  getTargetWeight(emotion) {
+    return this.emotions.get(emotion)?.targetWeight ?? 0;
+  }
+
+  /**
+   * The current weight of every emotion that is showing or fading, without advancing
+   * the fades. Before region normalization, so it tells how strongly each is felt.
+   * @returns {Map<string, number>} Weight by emotion name.
+   */
+  getWeights() {
+    const weights = new Map();
+    for (const [name, entry] of this.emotions) weights.set(name, entry.weight);
+    return weights;
+  }
+
+  // Sets one emotion's target weight, adding it to the set if needed
+  fadeTo(emotion, weight, { immediate = false, speed } = {}) {
+    let entry = this.emotions.get(emotion);
+    if (!entry) {
+      if (weight <= 0) return;
+      entry = { weight: 0, targetWeight: 0, speed: this.transitionSpeed };
+      this.emotions.set(emotion, entry);
+    }
+    entry.targetWeight = weight;
+    entry.speed =
+      speed ?? this.transitionSpeeds[emotion] ?? this.transitionSpeed;
+    if (immediate) entry.weight = weight;
+  }
+
+  getActiveEmotions(deltaTime) {
+    const emotions = new Map();
+
+    for (const [name, entry] of this.emotions) {
+      // Update weight
+      if (entry.weight !== entry.targetWeight) {
+        const delta = entry.targetWeight - entry.weight;
+        const change = Math.sign(delta) * entry.speed * deltaTime;
+
+        if (Math.abs(delta) < Math.abs(change)) {
+          entry.weight = entry.targetWeight;
+        } else {
+          entry.weight += change;
+        }
       }
 
-      // Switch to pending emotion if fully faded out
-      if (this.emotionWeight === 0 && this.pendingEmotion) {
-        this.currentEmotion = this.pendingEmotion;
-        this.targetWeight = this.pendingWeight;
-        this.pendingEmotion = null;
+      emotions.set(name, entry.weight);
+      // Faded out: written as 0 this once, then forgotten.
+      if (entry.weight === 0 && entry.targetWeight === 0) {
+        this.emotions.delete(name);
       }
     }
 
-    return emotions;
+    return this.normalize(emotions);
   }
 
-  //   clearEmotion() {
-  //     this.targetWeight = 0;
-  //   }
-}
+  // Scales down emotions that share a face region with more total weight than it can take.
+  normalize(emotions) {
+    const regionTotals = new Map();
+    for (const [name, weight] of emotions) {
+      for (const region of this.emotionRegions[name] ?? defaultEmotionRegions) {
+        regionTotals.set(region, (regionTotals.get(region) ?? 0) + weight);
+      }
+    }
 
-// Utility functions for common animations
-// export const ExpressionAnimations = {
-//   // Easing functions
-//   easeInOut: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
-//   easeOut: (t) => 1 - (1 - t) * (1 - t),
-
-//   // Preset animations
-//   surprise: (controller) => {
-//     controller.setExpression("surprised", 1.0, {
-//       duration: 0.2,
-//       easing: ExpressionAnimations.easeOut,
-//     });
-//     setTimeout(() => {
-//       controller.setExpression("surprised", 0, { duration: 0.5 });
-//     }, 1000);
-//   },
-
-//   talking: (controller, duration = 2) => {
-//     const startTime = performance.now() / 1000;
-//     controller.activeExpressions.set("a", {
-//       update: (currentTime) => {
-//         const elapsed = currentTime - startTime;
-//         if (elapsed > duration) {
-//           controller.activeExpressions.delete("a");
-//           return 0;
-//         }
-//         // Simulate talking with sine wave
-//         return Math.abs(Math.sin(elapsed * 8)) * 0.3;
-//       },
-//     });
-//   },
-// };
+    for (const [name, weight] of emotions) {
+      let scale = 1;
+      for (const region of this.emotionRegions[name] ?? defaultEmotionRegions) {
+        const total = regionTotals.get(region);
+        if (total > this.maxRegionWeight) {
+          scale = Math.min(scale, this.maxRegionWeight / total);
+        }
+      }
+      emotions.set(name, weight * scale);
+    }
+    return emotions;
+  }
+}
@@ -0,0 +1,93 @@
+import { getEasing } from "./utils/easing.js";
+
+/**
+ * A keyframed animation of expression weights, e.g. a surprised look or a wink.
+ * Plain JSON so presets can live in files (see expressionPresets.js):
+ *
+ *   {
+ *     tracks: {
+ *       surprised: [
+ *         { time: 0, value: 0 },
+ *         { time: 0.15, value: 1, easing: "easeOutBack" },
+ *         { time: 1.2, value: 0, easing: "easeInOutSine" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Track names are expression names (see ExpressionController.getAvailableExpressions).
+ * A keyframe's `easing` (a name from utils/easing.js) shapes the curve from the previous
+ * keyframe to it; the default is linear.
+ */
+export class ExpressionSequence {
+  /**
+   * @param {object} definition - The sequence, as above.
+   * @param {string} [name] - A name for the sequence, e.g. its preset name.
+   */
+  constructor(definition, name = definition?.name ?? "sequence") {
+    this.name = name;
+    this.tracks = new Map();
+
+    const tracks = definition?.tracks;
+    if (!tracks || typeof tracks !== "object") {
+      throw new Error(`ExpressionSequence: "${name}" has no tracks.`);
+    }
+
+    for (const [expression, keyframes] of Object.entries(tracks)) {
+      if (!Array.isArray(keyframes) || keyframes.length === 0) {
+        throw new Error(
+          `ExpressionSequence: Track "${expression}" in "${name}" has no keyframes.`
+        );
+      }
+      const sorted = keyframes
+        .map((keyframe) => {
+          if (!(keyframe.time >= 0) || typeof keyframe.value !== "number") {
+            throw new Error(
+              `ExpressionSequence: Invalid keyframe ${JSON.stringify(keyframe)} in "${name}".`
+            );
+          }
+          return {
+            time: keyframe.time,
+            value: keyframe.value,
+            easing: getEasing(keyframe.easing),
+          };
+        })
+        .sort((a, b) => a.time - b.time);
+      this.tracks.set(expression, sorted);
+    }
+
+    this.duration = Math.max(
+      0,
+      ...[...this.tracks.values()].map((keyframes) => keyframes.at(-1).time)
+    );
+  }
+
+  /**
+   * @returns {string[]} The expression names this sequence animates.
+   */
+  get expressionNames() {
+    return [...this.tracks.keys()];
+  }
+
+  /**
+   * Evaluates one expression's weight at a time. Before the first keyframe the track
+   * holds its first value, after the last keyframe its last value.
+   * @param {string} expression - The expression name.
+   * @param {number} time - Seconds from the start of the sequence.
+   * @returns {number} The weight.
+   */
+  evaluate(expression, time) {
+    const keyframes = this.tracks.get(expression);
+    if (!keyframes) return 0;
+    if (time <= keyframes[0].time) return keyframes[0].value;
+
+    for (let i = 1; i < keyframes.length; i++) {
+      const next = keyframes[i];
+      if (time < next.time) {
+        const previous = keyframes[i - 1];
+        const progress = (time - previous.time) / (next.time - previous.time);
+        return previous.value + (next.value - previous.value) * next.easing(progress);
+      }
+    }
+    return keyframes.at(-1).value;
+  }
+}
@@ -0,0 +1,187 @@
+import * as THREE from "three";
+import { createRandom } from "./utils/random.js";
+
+const _direction = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _regionOffset = new THREE.Vector3();
+const _worldUp = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Procedural eye behaviour for LookAtController. The eyes don't glide after the target:
+ * they fixate, then jump (saccade) to the next fixation.
+ *
+ * - Fixations alternate between face regions of the target (its eyes and mouth), each
+ *   with a small random offset, so the gaze never sits perfectly still.
+ * - Every few seconds the eyes glance away (gaze aversion) and come back.
+ * - Saccades take longer the larger they are, as real ones do.
+ *
+ * Dispatches `{ type: "saccade", amplitude, aversion }` (amplitude in degrees) whenever a
+ * saccade starts, e.g. for BlinkController.onGazeShift.
+ */
+export class EyeMovement extends THREE.EventDispatcher {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.seed] - Seed for the random behaviour, for reproducible runs.
+   */
+  constructor(options = {}) {
+    super();
+    this.random = createRandom(options.seed);
+    this.enabled = true;
+
+    this.config = {
+      // Seconds between fixations
+      minFixation: 0.25,
+      maxFixation: 0.9,
+      // Random offset of each fixation around its region, in degrees
+      microAmplitude: 0.4,
+      // Where on the target to look, as offsets in its local space (metres, x right, y up).
+      // The defaults place a face at the target, e.g. the viewer behind the camera.
+      regions: {
+        leftEye: { offset: [-0.032, 0, 0], weight: 0.4 },
+        rightEye: { offset: [0.032, 0, 0], weight: 0.4 },
+        mouth: { offset: [0, -0.07, 0], weight: 0.2 },
+      },
+      // Seconds between glances away, and how long they last
+      minAversionInterval: 3.0,
+      maxAversionInterval: 9.0,
+      minAversionDuration: 0.6,
+      maxAversionDuration: 1.8,
+      // How far they go, in degrees; mostly sideways and down
+      minAversionAngle: 8,
+      maxAversionAngle: 20,
+    };
+
+    // The fixation being looked at (or saccaded to) and the one before it:
+    // { region offset (target space), yaw and pitch offsets (degrees) }
+    this.from = { offset: new THREE.Vector3(), yaw: 0, pitch: 0 };
+    this.to = { offset: new THREE.Vector3(), yaw: 0, pitch: 0 };
+    this.saccadeTime = 0;
+    this.saccadeDuration = 0;
+    this.fixationTimer = 0;
+    this.aversionTimer = this.randomRange(
+      this.config.minAversionInterval,
+      this.config.maxAversionInterval
+    );
+    this.averted = false;
+  }
+
+  setConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
+  /**
+   * Advances the eye behaviour and returns the point the eyes should look at.
+   * @param {number} deltaTime - Seconds since the last update.
+   * @param {THREE.Vector3} eyePosition - Where the eyes are, in world space.
+   * @param {THREE.Vector3} targetPosition - What to look at, in world space.
+   * @param {?THREE.Quaternion} targetQuaternion - The target's world orientation, for its face
+   *   regions; null for targets without a face, which are fixated at their centre.
+   * @param {THREE.Vector3} [result] - Vector to write the gaze point to.
+   * @returns {THREE.Vector3} The gaze point, in world space.
+   */
+  update(deltaTime, eyePosition, targetPosition, targetQuaternion, result = new THREE.Vector3()) {
+    const distance = Math.max(eyePosition.distanceTo(targetPosition), 0.01);
+
+    this.aversionTimer -= deltaTime;
+    this.fixationTimer -= deltaTime;
+    if (this.aversionTimer <= 0) {
+      this.averted = !this.averted;
+      this.aversionTimer = this.averted
+        ? this.randomRange(this.config.minAversionDuration, this.config.maxAversionDuration)
+        : this.randomRange(this.config.minAversionInterval, this.config.maxAversionInterval);
+      this.startSaccade(this.averted ? this.pickAversion() : this.pickFixation(), distance);
+    } else if (!this.averted && this.fixationTimer <= 0) {
+      this.startSaccade(this.pickFixation(), distance);
+    }
+
+    this.saccadeTime = Math.min(this.saccadeTime + deltaTime, this.saccadeDuration);
+    const t = this.getSaccadeProgress();
+
+    result.copy(targetPosition);
+    if (targetQuaternion) {
+      _regionOffset
+        .lerpVectors(this.from.offset, this.to.offset, t)
+        .applyQuaternion(targetQuaternion);
+      result.add(_regionOffset);
+    }
+
+    // Angular offsets around the direction to the fixated point
+    _direction.subVectors(result, eyePosition).normalize();
+    _right.crossVectors(_direction, _worldUp);
+    if (_right.lengthSq() < 1e-8) _right.set(1, 0, 0); // Looking straight up or down
+    _right.normalize();
+    _up.crossVectors(_right, _direction);
+    const yaw = THREE.MathUtils.degToRad(THREE.MathUtils.lerp(this.from.yaw, this.to.yaw, t));
+    const pitch = THREE.MathUtils.degToRad(THREE.MathUtils.lerp(this.from.pitch, this.to.pitch, t));
+    return result
+      .copy(_direction)
+      .addScaledVector(_right, Math.tan(yaw))
+      .addScaledVector(_up, Math.tan(pitch))
+      .multiplyScalar(distance)
+      .add(eyePosition);
+  }
+
+  // A face region picked by weight, with a small random offset
+  pickFixation() {
+    const regions = Object.values(this.config.regions);
+    const total = regions.reduce((sum, region) => sum + region.weight, 0);
+    let pick = this.random() * total;
+    const region = regions.find((candidate) => (pick -= candidate.weight) < 0) ?? regions[0];
+
+    const micro = this.config.microAmplitude;
+    return {
+      offset: new THREE.Vector3().fromArray(region?.offset ?? [0, 0, 0]),
+      yaw: this.randomRange(-micro, micro),
+      pitch: this.randomRange(-micro, micro),
+    };
+  }
+
+  // A glance away from the face, to either side and more often down than up
+  pickAversion() {
+    const angle = this.randomRange(this.config.minAversionAngle, this.config.maxAversionAngle);
+    const side = this.random() < 0.5 ? -1 : 1;
+    const elevation = this.randomRange(-0.8, 0.3);
+    return {
+      offset: new THREE.Vector3(),
+      yaw: side * angle * Math.sqrt(1 - elevation * elevation),
+      pitch: angle * elevation,
+    };
+  }
+
+  // How far the current saccade has got, from 0 to 1. Saccades accelerate and brake.
+  getSaccadeProgress() {
+    const progress =
+      this.saccadeDuration > 0 ? this.saccadeTime / this.saccadeDuration : 1;
+    return progress * progress * (3 - 2 * progress);
+  }
+
+  // Starts a saccade from wherever the eyes are now to a new fixation
+  startSaccade(fixation, distance) {
+    const t = this.getSaccadeProgress();
+    this.from = {
+      offset: this.from.offset.clone().lerp(this.to.offset, t),
+      yaw: THREE.MathUtils.lerp(this.from.yaw, this.to.yaw, t),
+      pitch: THREE.MathUtils.lerp(this.from.pitch, this.to.pitch, t),
+    };
+    this.to = fixation;
+
+    // Roughly: the angular jump plus the region change seen at the target's distance
+    const offsetAngle = THREE.MathUtils.radToDeg(
+      Math.atan(this.from.offset.distanceTo(this.to.offset) / distance)
+    );
+    const amplitude =
+      Math.hypot(this.to.yaw - this.from.yaw, this.to.pitch - this.from.pitch) +
+      offsetAngle;
+    // The "main sequence": about 21 ms plus 2.2 ms per degree
+    this.saccadeDuration = 0.021 + 0.0022 * amplitude;
+    this.saccadeTime = 0;
+    this.fixationTimer = this.randomRange(this.config.minFixation, this.config.maxFixation);
+
+    this.dispatchEvent({ type: "saccade", amplitude, aversion: this.averted });
+  }
+
+  randomRange(min, max) {
+    return min + this.random() * (max - min);
+  }
+}
@@ -0,0 +1,188 @@
+import * as THREE from "three";
+
+const _origin = new THREE.Vector3();
+const _footPosition = new THREE.Vector3();
+const _footQuaternion = new THREE.Quaternion();
+const _alignment = new THREE.Quaternion();
+const _normalMatrix = new THREE.Matrix3();
+const _up = new THREE.Vector3(0, 1, 0);
+const _down = new THREE.Vector3(0, -1, 0);
+const _identity = new THREE.Quaternion();
+
+/**
+ * Stands the character on the loaded environment's floor. Each frame a ray is cast down from
+ * each foot against the environment's meshes; the feet are moved to the floor found under
+ * them, keeping their animated height above the ground (so steps and jumps still lift them),
+ * and turned to its slope. The hips are lowered when a foot has to reach further down, or
+ * raised when the whole floor is higher than the character's origin.
+ *
+ * The feet and hips are moved through IKController, so grounding must be updated right
+ * before it. Without an environment (or over empty space) the floor is the character's own
+ * ground plane and the animation is left as it is.
+ */
+export class FootGrounding {
+  /**
+   * @param {VRM} vrm - The VRM, in its rest pose (the ankle height is measured from it).
+   * @param {IKController} ikController - Moves the feet and hips.
+   * @param {function(): ?THREE.Object3D} getEnvironment - Returns what to stand on.
+   */
+  constructor(vrm, ikController, getEnvironment) {
+    this.vrm = vrm;
+    this.ikController = ikController;
+    this.getEnvironment = getEnvironment;
+    this.enabled = true;
+
+    this.config = {
+      // How far above and below a foot to look for the floor (metres)
+      stepHeight: 0.5,
+      maxDrop: 0.5,
+      // Most the feet are turned to follow the floor's slope, in degrees
+      maxSlope: 30,
+      // How quickly the hips and feet follow floor changes (per second)
+      smoothing: 10,
+    };
+
+    this.raycaster = new THREE.Raycaster();
+    // The floor's height under the character, in world space (null while there is none)
+    this.floorHeight = null;
+    this.hipOffset = new THREE.Vector3();
+
+    // How high a foot bone sits above the ground when standing
+    const ground = vrm.scene.getWorldPosition(new THREE.Vector3()).y;
+    const foot = vrm.humanoid?.getNormalizedBoneNode("leftFoot");
+    this.ankleHeight = foot
+      ? Math.max(0, foot.getWorldPosition(new THREE.Vector3()).y - ground)
+      : 0;
+
+    this.feet = [
+      { limb: "leftLeg", bone: "leftFoot" },
+      { limb: "rightLeg", bone: "rightFoot" },
+    ].map((foot) => ({
+      ...foot,
+      target: new THREE.Vector3(),
+      rotation: new THREE.Quaternion(),
+      normal: new THREE.Vector3(0, 1, 0),
+      floor: null,
+    }));
+    for (const foot of this.feet) {
+      // A function, so IK follows the target as it's updated (points are copied)
+      ikController.setTarget(foot.limb, () => foot.target, {
+        rotation: foot.rotation,
+        fadeTime: 0,
+      });
+    }
+  }
+
+  /**
+   * Turns grounding on or off. Off hands the legs back to the animation.
+   * @param {boolean} enabled
+   * @param {number} [fadeTime=0.3] - Seconds to blend.
+   */
+  setEnabled(enabled, fadeTime = 0.3) {
+    this.enabled = enabled;
+    for (const foot of this.feet) {
+      this.ikController.setWeight(foot.limb, enabled ? 1 : 0, fadeTime);
+    }
+  }
+
+  setConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
+  /**
+   * The floor's height below a point, e.g. to place props or another character.
+   * @param {THREE.Vector3} position - A world-space point; the floor is looked for from
+   *   `stepHeight` above it to `maxDrop` below it.
+   * @returns {?number} The world-space height of the floor, or null if there is none.
+   */
+  getFloorHeightAt(position) {
+    return this.castFloorRay(position)?.point.y ?? null;
+  }
+
+  /**
+   * Finds the floor under both feet and sets the IK targets. Call after the animation
+   * and before IKController.update.
+   * @param {number} deltaTime - Seconds since the last update.
+   */
+  update(deltaTime) {
+    const humanoid = this.vrm.humanoid;
+    if (!humanoid) return;
+    const blend = 1 - Math.exp(-this.config.smoothing * deltaTime);
+    const ground = this.vrm.scene.getWorldPosition(_origin).y;
+
+    if (!this.enabled) {
+      // Let the hips settle back onto the animation
+      this.hipOffset.multiplyScalar(1 - blend);
+      this.ikController.setHipOffset(this.hipOffset);
+      return;
+    }
+
+    let hipDelta = Infinity;
+    let floorSum = 0;
+    let floorCount = 0;
+    for (const foot of this.feet) {
+      const node = humanoid.getNormalizedBoneNode(foot.bone);
+      if (!node) continue;
+      node.getWorldPosition(_footPosition);
+      node.getWorldQuaternion(_footQuaternion);
+
+      const hit = this.castFloorRay(_footPosition);
+      const floor = hit ? hit.point.y : ground;
+      foot.floor =
+        foot.floor === null
+          ? floor
+          : THREE.MathUtils.lerp(foot.floor, floor, blend);
+      if (hit) {
+        floorSum += floor;
+        floorCount++;
+      }
+
+      // The animated height above the character's ground, but never into the floor
+      const height = Math.max(_footPosition.y - ground, this.ankleHeight);
+      foot.target.set(_footPosition.x, foot.floor + height, _footPosition.z);
+      hipDelta = Math.min(hipDelta, foot.target.y - _footPosition.y);
+
+      // Turn the foot to the slope
+      foot.normal.lerp(hit?.normal ?? _up, blend).normalize();
+      _alignment.setFromUnitVectors(_up, foot.normal);
+      const maxSlope = THREE.MathUtils.degToRad(this.config.maxSlope);
+      const slope = 2 * Math.acos(Math.min(1, Math.abs(_alignment.w)));
+      if (slope > maxSlope) {
+        _alignment.slerpQuaternions(_identity, _alignment, maxSlope / slope);
+      }
+      foot.rotation.copy(_alignment).multiply(_footQuaternion);
+    }
+
+    this.floorHeight = floorCount > 0 ? floorSum / floorCount : null;
+    if (hipDelta === Infinity) hipDelta = 0;
+    // Only ever the height; the feet lead, the hips follow
+    this.hipOffset.y = THREE.MathUtils.lerp(this.hipOffset.y, hipDelta, blend);
+    this.ikController.setHipOffset(this.hipOffset);
+  }
+
+  // The first mesh face below a point, with its world-space normal
+  castFloorRay(position) {
+    const environment = this.getEnvironment();
+    if (!environment) return null;
+
+    const { stepHeight, maxDrop } = this.config;
+    this.raycaster.set(
+      _origin.copy(position).addScaledVector(_up, stepHeight),
+      _down
+    );
+    this.raycaster.far = stepHeight + maxDrop;
+    // Only meshes: lines and points (e.g. the holodeck grid) aren't something to stand on
+    const hit = this.raycaster
+      .intersectObject(environment, true)
+      .find((intersection) => intersection.object.isMesh && intersection.face);
+    if (!hit) return null;
+
+    _normalMatrix.getNormalMatrix(hit.object.matrixWorld);
+    const normal = hit.face.normal
+      .clone()
+      .applyMatrix3(_normalMatrix)
+      .normalize();
+    if (normal.y < 0) normal.negate(); // Double-sided or flipped faces
+    return { point: hit.point, normal };
+  }
+}
@@ -0,0 +1,302 @@
+import * as THREE from "three";
+
+// Limb name -> its [root, mid, end] humanoid bones
+const limbBones = {
+  leftArm: ["leftUpperArm", "leftLowerArm", "leftHand"],
+  rightArm: ["rightUpperArm", "rightLowerArm", "rightHand"],
+  leftLeg: ["leftUpperLeg", "leftLowerLeg", "leftFoot"],
+  rightLeg: ["rightUpperLeg", "rightLowerLeg", "rightFoot"],
+};
+
+const _rootPosition = new THREE.Vector3();
+const _midPosition = new THREE.Vector3();
+const _endPosition = new THREE.Vector3();
+const _targetPosition = new THREE.Vector3();
+const _polePosition = new THREE.Vector3();
+const _pivot = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _bend = new THREE.Vector3();
+const _desiredMid = new THREE.Vector3();
+const _from = new THREE.Vector3();
+const _to = new THREE.Vector3();
+const _delta = new THREE.Quaternion();
+const _parentQuaternion = new THREE.Quaternion();
+const _endQuaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+
+/**
+ * Two-bone IK for the humanoid's arms and legs, plus a hip offset. Runs on the normalized
+ * bones after the animation has posed them, so hands can reach for or touch objects and
+ * feet can be planted on uneven ground.
+ *
+ * Each limb reaches its target with the shoulder or hip and the elbow or knee; the elbow or
+ * knee bends towards the pole target, or keeps the animation's bend if there is none. The
+ * hand or foot keeps its animated world orientation unless the target gives one. Limb
+ * weights fade over time, so IK can be blended in and out of the animation.
+ */
+export class IKController {
+  /**
+   * @param {VRM} vrm - The VRM.
+   */
+  constructor(vrm) {
+    this.vrm = vrm;
+    this.enabled = true;
+
+    // World-space offset added to the hips before the limbs are solved, e.g. to lower
+    // the body so both feet reach the ground
+    this.hipOffset = new THREE.Vector3();
+
+    // Limb name -> { bones, target, pole, rotation, weight, targetWeight, fadeSpeed }
+    this.limbs = new Map();
+    for (const [name, bones] of Object.entries(limbBones)) {
+      this.limbs.set(name, {
+        name,
+        bones,
+        target: null,
+        pole: null,
+        rotation: null,
+        weight: 0,
+        targetWeight: 0,
+        fadeSpeed: 0,
+      });
+    }
+  }
+
+  /**
+   * Makes a limb reach for a target, fading its IK weight in.
+   * @param {string} limbName - "leftArm", "rightArm", "leftLeg" or "rightLeg".
+   * @param {THREE.Object3D|THREE.Vector3|function(): ?THREE.Vector3} target - Where the hand
+   *   or foot should be: an object (followed as it moves), a fixed point, or a function
+   *   returning the current point (or null to leave the limb animated for now).
+   * @param {object} [options]
+   * @param {THREE.Object3D|THREE.Vector3} [options.pole] - What the elbow or knee points towards.
+   * @param {THREE.Quaternion|boolean} [options.rotation] - World orientation for the hand or
+   *   foot, or true to match the target object's.
+   * @param {number} [options.weight=1] - The IK weight to fade to (0-1).
+   * @param {number} [options.fadeTime=0.3] - Seconds to fade.
+   */
+  setTarget(limbName, target, options = {}) {
+    const limb = this.getLimb(limbName);
+    if (!limb) return;
+    const {
+      pole = null,
+      rotation = null,
+      weight = 1,
+      fadeTime = 0.3,
+    } = options;
+    limb.target = target instanceof THREE.Vector3 ? target.clone() : target;
+    limb.pole = pole;
+    limb.rotation = rotation;
+    this.setWeight(limbName, weight, fadeTime);
+  }
+
+  /**
+   * Fades a limb's IK out, handing it back to the animation.
+   * @param {string} limbName - The limb.
+   * @param {number} [fadeTime=0.3] - Seconds to fade.
+   */
+  clearTarget(limbName, fadeTime = 0.3) {
+    this.setWeight(limbName, 0, fadeTime);
+  }
+
+  /**
+   * Fades a limb's IK weight to a new value.
+   * @param {string} limbName - The limb.
+   * @param {number} weight - 0 leaves the animation alone, 1 reaches the target exactly.
+   * @param {number} [fadeTime=0.3] - Seconds to fade.
+   */
+  setWeight(limbName, weight, fadeTime = 0.3) {
+    const limb = this.getLimb(limbName);
+    if (!limb) return;
+    limb.targetWeight = THREE.MathUtils.clamp(weight, 0, 1);
+    if (fadeTime <= 0) {
+      limb.weight = limb.targetWeight;
+      limb.fadeSpeed = 0;
+    } else {
+      limb.fadeSpeed = 1 / fadeTime;
+    }
+  }
+
+  /**
+   * @param {THREE.Vector3} offset - World-space offset for the hips.
+   */
+  setHipOffset(offset) {
+    this.hipOffset.copy(offset);
+  }
+
+  /**
+   * The bones IK moves, for AnimationController.trackPose.
+   * @returns {THREE.Object3D[]} The normalized hips and limb bone nodes.
+   */
+  getBones() {
+    return ["hips", ...Object.values(limbBones).flat()]
+      .map((name) => this.vrm.humanoid?.getNormalizedBoneNode(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Fades limb weights and poses the limbs. Call after the animation (and anything else
+   * that moves the arms or legs) has run.
+   * @param {number} deltaTime - Seconds since the last update.
+   */
+  update(deltaTime) {
+    if (!this.enabled || !this.vrm?.humanoid) return;
+
+    this.applyHipOffset();
+    for (const limb of this.limbs.values()) {
+      if (limb.weight !== limb.targetWeight) {
+        const step = limb.fadeSpeed * deltaTime;
+        limb.weight =
+          limb.weight < limb.targetWeight
+            ? Math.min(limb.weight + step, limb.targetWeight)
+            : Math.max(limb.weight - step, limb.targetWeight);
+      }
+      if (limb.target && limb.weight > 0) this.solveLimb(limb);
+    }
+  }
+
+  getLimb(limbName) {
+    const limb = this.limbs.get(limbName);
+    if (!limb) console.warn(`IKController: Unknown limb "${limbName}"`);
+    return limb;
+  }
+
+  applyHipOffset() {
+    if (this.hipOffset.lengthSq() === 0) return;
+    const hips = this.vrm.humanoid.getNormalizedBoneNode("hips");
+    if (!hips?.parent) return;
+    // Into the hips' parent space
+    hips.parent.getWorldQuaternion(_parentQuaternion).invert();
+    hips.parent.getWorldScale(_scale);
+    hips.position.add(
+      _direction
+        .copy(this.hipOffset)
+        .applyQuaternion(_parentQuaternion)
+        .divide(_scale)
+    );
+    hips.updateWorldMatrix(false, true);
+  }
+
+  // Writes where a target or pole currently is; false if it has no position right now
+  resolvePosition(source, target) {
+    if (source instanceof THREE.Object3D) {
+      source.getWorldPosition(target);
+    } else if (typeof source === "function") {
+      const point = source();
+      if (!point) return false;
+      target.copy(point);
+    } else {
+      target.copy(source);
+    }
+    return true;
+  }
+
+  solveLimb(limb) {
+    const humanoid = this.vrm.humanoid;
+    const [root, mid, end] = limb.bones.map((name) =>
+      humanoid.getNormalizedBoneNode(name)
+    );
+    if (!root || !mid || !end) return;
+    if (!this.resolvePosition(limb.target, _targetPosition)) return;
+
+    root.updateWorldMatrix(true, true);
+    const animated = [root, mid, end].map((node) => node.quaternion.clone());
+    end.getWorldQuaternion(_endQuaternion);
+    if (limb.rotation === true && limb.target instanceof THREE.Object3D) {
+      limb.target.getWorldQuaternion(_endQuaternion);
+    } else if (limb.rotation instanceof THREE.Quaternion) {
+      _endQuaternion.copy(limb.rotation);
+    }
+
+    _rootPosition.setFromMatrixPosition(root.matrixWorld);
+    _midPosition.setFromMatrixPosition(mid.matrixWorld);
+    _endPosition.setFromMatrixPosition(end.matrixWorld);
+    const upperLength = _rootPosition.distanceTo(_midPosition);
+    const lowerLength = _midPosition.distanceTo(_endPosition);
+
+    // Keep the target within reach, just short of a locked-straight limb
+    _direction.subVectors(_targetPosition, _rootPosition);
+    const distance = THREE.MathUtils.clamp(
+      _direction.length(),
+      Math.abs(upperLength - lowerLength) + 1e-4,
+      (upperLength + lowerLength) * 0.9999
+    );
+    if (_direction.lengthSq() < 1e-10) return;
+    _direction.normalize();
+    _targetPosition.copy(_rootPosition).addScaledVector(_direction, distance);
+
+    // Which way the elbow or knee bends: towards the pole, or as animated
+    if (limb.pole && this.resolvePosition(limb.pole, _polePosition)) {
+      _bend.subVectors(_polePosition, _rootPosition);
+    } else {
+      // Off the animated root-end line, not the new one, so the bend keeps its side
+      _from.subVectors(_endPosition, _rootPosition).normalize();
+      _bend.subVectors(_midPosition, _rootPosition);
+      _bend.addScaledVector(_from, -_bend.dot(_from));
+    }
+    _bend.addScaledVector(_direction, -_bend.dot(_direction));
+    if (_bend.lengthSq() < 1e-8) this.getDefaultBend(limb, _bend);
+    _bend.normalize();
+
+    // Law of cosines: how far the elbow or knee sits off the root-target line
+    const cosAngle = THREE.MathUtils.clamp(
+      (upperLength * upperLength +
+        distance * distance -
+        lowerLength * lowerLength) /
+        (2 * upperLength * distance),
+      -1,
+      1
+    );
+    _desiredMid
+      .copy(_rootPosition)
+      .addScaledVector(_direction, upperLength * cosAngle)
+      .addScaledVector(_bend, upperLength * Math.sqrt(1 - cosAngle * cosAngle));
+
+    this.rotateTowards(root, _midPosition, _desiredMid);
+    _midPosition.setFromMatrixPosition(mid.matrixWorld);
+    _endPosition.setFromMatrixPosition(end.matrixWorld);
+    this.rotateTowards(mid, _endPosition, _targetPosition);
+
+    // The hand or foot keeps its world orientation
+    end.parent.getWorldQuaternion(_parentQuaternion);
+    end.quaternion.copy(_parentQuaternion.invert().multiply(_endQuaternion));
+
+    if (limb.weight < 1) {
+      [root, mid, end].forEach((node, i) =>
+        node.quaternion.slerpQuaternions(
+          animated[i],
+          node.quaternion,
+          limb.weight
+        )
+      );
+    }
+    root.updateWorldMatrix(false, true);
+  }
+
+  // Turns a bone so that a point it carries moves from `from` towards `to`
+  rotateTowards(node, from, to) {
+    const pivot = _pivot.setFromMatrixPosition(node.matrixWorld);
+    _from.subVectors(from, pivot).normalize();
+    _to.subVectors(to, pivot).normalize();
+    _delta.setFromUnitVectors(_from, _to);
+    // The rotation is in world space; bring it into the bone's parent space
+    node.parent.getWorldQuaternion(_parentQuaternion);
+    node.quaternion
+      .premultiply(_parentQuaternion)
+      .premultiply(_delta)
+      .premultiply(_parentQuaternion.invert());
+    node.updateWorldMatrix(false, true);
+  }
+
+  // For a straight limb without a pole: knees bend forward, elbows back
+  getDefaultBend(limb, target) {
+    const hips = this.vrm.humanoid.getNormalizedBoneNode("hips");
+    target.copy(this.vrm.lookAt?.faceFront ?? new THREE.Vector3(0, 0, 1));
+    if (hips)
+      target.applyQuaternion(hips.getWorldQuaternion(_parentQuaternion));
+    if (limb.name.endsWith("Arm")) target.negate();
+    target.addScaledVector(_direction, -target.dot(_direction));
+    if (target.lengthSq() < 1e-10) target.set(0, 1, 0); // Pointing straight ahead
+    return target;
+  }
+}
@@ -0,0 +1,233 @@
+import * as THREE from "three";
+import { createRandom } from "./utils/random.js";
+
+/**
+ * Picks and times the animations of the idle loop.
+ *
+ * A schedule looks like:
+ * {
+ *   seed: 42,          // optional, makes the choices reproducible
+ *   fadeTime: 0.5,     // cross-fade between idle animations
+ *   animations: [
+ *     { name: "idle", weight: 4, minDuration: 8, maxDuration: 20 },
+ *     { name: "idle_bored", weight: 1, minLoops: 1, maxLoops: 2, cooldown: 30 },
+ *   ],
+ * }
+ *
+ * Each animation plays either for a random duration (seconds) or a random number of
+ * complete loops of its clip, and can't be picked again until its cooldown has passed.
+ * All timing uses the mixer's clock, so the Time Scale slider and pausing apply to it.
+ *
+ * An idle animation played by hand (e.g. from the GUI) while the loop runs takes the
+ * current one's place. It is timed by the clock, even for loop-counted entries, since it
+ * may not loop at all.
+ */
+export class IdleScheduler {
+  /**
+   * @param {AnimationController} controller - The controller whose mixer plays the animations.
+   * @param {object} schedule - The idle schedule (see class docs).
+   */
+  constructor(controller, schedule) {
+    this.controller = controller;
+    this.schedule = schedule;
+    this.random = createRandom(schedule.seed);
+
+    this.active = false;
+    this.current = null; // { entry, action, startTime, endTime, loops, loopCount }
+    this.cooldownUntil = new Map();
+
+    this.validate();
+
+    this.onMixerLoop = (event) => {
+      if (this.current && event.action === this.current.action) {
+        this.current.loopCount++;
+      }
+    };
+  }
+
+  /**
+   * Checks that every referenced animation exists and the timings make sense.
+   * @private
+   */
+  validate() {
+    const animations = this.schedule.animations || [];
+    if (animations.length === 0) {
+      throw new Error("IdleScheduler: The schedule has no animations.");
+    }
+
+    for (const entry of animations) {
+      if (!(entry.name in this.controller.animationFiles)) {
+        throw new Error(
+          `IdleScheduler: Unknown animation "${entry.name}". Use a key of animationFiles.`
+        );
+      }
+      if ((entry.weight ?? 1) <= 0) {
+        throw new Error(`IdleScheduler: "${entry.name}" needs a positive weight.`);
+      }
+      const usesLoops = entry.minLoops != null || entry.maxLoops != null;
+      const usesDuration = entry.minDuration != null || entry.maxDuration != null;
+      if (usesLoops && usesDuration) {
+        throw new Error(
+          `IdleScheduler: "${entry.name}" sets both a duration and a loop count.`
+        );
+      }
+      const [min, max] = usesLoops
+        ? [entry.minLoops ?? entry.maxLoops, entry.maxLoops ?? entry.minLoops]
+        : [entry.minDuration ?? 5, entry.maxDuration ?? 30];
+      if (min <= 0 || max < min) {
+        throw new Error(`IdleScheduler: "${entry.name}" has an invalid dwell range.`);
+      }
+    }
+  }
+
+  /**
+   * The names of every animation in the schedule.
+   * @returns {string[]}
+   */
+  get animationNames() {
+    return this.schedule.animations.map((entry) => entry.name);
+  }
+
+  /**
+   * Starts playing idle animations.
+   */
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.controller.mixer.addEventListener("loop", this.onMixerLoop);
+    this.playNext();
+  }
+
+  /**
+   * Stops scheduling. The current animation keeps playing.
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.controller.mixer.removeEventListener("loop", this.onMixerLoop);
+    this.current = null;
+  }
+
+  /**
+   * Moves on to the next idle animation once the current one has dwelt long enough.
+   * Called by AnimationController.update after the mixer has advanced.
+   */
+  update() {
+    if (!this.active || !this.current) return;
+    // Anything else that replaced the current action
+    if (this.controller.currentAction !== this.current.action) this.adopt();
+
+    const { loops, loopCount, endTime } = this.current;
+    const done =
+      loops != null ? loopCount >= loops : this.controller.mixer.time >= endTime;
+    if (done) this.playNext();
+  }
+
+  /**
+   * @private
+   */
+  playNext() {
+    const now = this.controller.mixer.time;
+
+    if (this.current) {
+      const { entry } = this.current;
+      this.cooldownUntil.set(entry.name, now + (entry.cooldown ?? 0));
+    }
+
+    const entry = this.pick(now);
+    if (!entry) {
+      console.warn("IdleScheduler: No idle animations available.");
+      this.controller.stopIdleLoop();
+      return;
+    }
+
+    const action = this.controller.crossFadeTo(entry.name, {
+      loop: true,
+      fadeTime: this.schedule.fadeTime ?? 0.5,
+    });
+
+    const loops = this.pickLoops(entry);
+    if (loops != null) {
+      this.current = { entry, action, loops, loopCount: 0 };
+      console.log(`Idle loop: playing "${entry.name}" for ${loops} loop(s)`);
+    } else {
+      const duration = this.pickDuration(entry);
+      this.current = { entry, action, endTime: now + duration };
+      console.log(
+        `Idle loop: playing "${entry.name}" for ${Math.round(duration)}s`
+      );
+    }
+  }
+
+  /**
+   * Takes over the controller's current animation, played in place of the scheduler's own
+   * (possibly the same clip, restarted), so the loop moves on from it instead of waiting
+   * for its own action to loop again. Called by AnimationController.playAnimation.
+   */
+  adopt() {
+    if (!this.active) return;
+    const { currentAction: action, currentActionName } = this.controller;
+    const entry =
+      this.schedule.animations.find((e) => e.name === currentActionName) ??
+      this.current.entry;
+    let duration = 0;
+    if (action?.loop === THREE.LoopOnce) {
+      // Until it ends
+      duration = Math.max(0, action.getClip().duration - action.time);
+    } else if (action) {
+      const loops = this.pickLoops(entry);
+      duration =
+        loops != null ? loops * action.getClip().duration : this.pickDuration(entry);
+    }
+    this.current = { entry, action, endTime: this.controller.mixer.time + duration };
+  }
+
+  /**
+   * A random number of loops for entries timed in loops, else null.
+   * @private
+   */
+  pickLoops(entry) {
+    if (entry.minLoops == null && entry.maxLoops == null) return null;
+    const min = entry.minLoops ?? entry.maxLoops;
+    const max = entry.maxLoops ?? entry.minLoops;
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * A random dwell time in seconds for entries timed by the clock.
+   * @private
+   */
+  pickDuration(entry) {
+    const min = entry.minDuration ?? 5;
+    const max = entry.maxDuration ?? 30;
+    return min + this.random() * (max - min);
+  }
+
+  /**
+   * Weighted random choice among loaded animations that aren't cooling down,
+   * avoiding an immediate repeat of the current one where possible.
+   * @private
+   */
+  pick(now) {
+    const loaded = this.schedule.animations.filter((entry) =>
+      this.controller.animations.has(entry.name)
+    );
+    const currentName = this.current?.entry.name ?? this.controller.currentActionName;
+    const notCurrent = loaded.filter((entry) => entry.name !== currentName);
+    const ready = notCurrent.filter(
+      (entry) => now >= (this.cooldownUntil.get(entry.name) ?? -Infinity)
+    );
+
+    const pool =
+      ready.length > 0 ? ready : notCurrent.length > 0 ? notCurrent : loaded;
+    if (pool.length === 0) return null;
+
+    const totalWeight = pool.reduce((sum, entry) => sum + (entry.weight ?? 1), 0);
+    let roll = this.random() * totalWeight;
+    for (const entry of pool) {
+      roll -= entry.weight ?? 1;
+      if (roll < 0) return entry;
+    }
+    return pool[pool.length - 1];
+  }
+}
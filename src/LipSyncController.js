@@ -0,0 +1,293 @@
+import * as THREE from "three";
+import {
+  Visemes,
+  defaultVisemeOptions,
+  estimateVisemes,
+  analyseAudioBuffer,
+} from "./utils/visemeAnalysis.js";
+
+/**
+ * Audio-driven lip-sync: analyses a Web Audio source and produces weights for
+ * the VRM `aa`, `ih`, `ou`, `ee` and `oh` expressions.
+ *
+ * Sources:
+ * - `connectElement(audio)`: an `<audio>`/`<video>` element, analysed live
+ * - `connectStream(stream)`: a MediaStream such as a microphone, analysed live
+ * - `playBuffer(buffer)`: a decoded AudioBuffer, analysed up front. Pass `{ output: false }`
+ *   to run it on the update clock without an AudioContext, e.g. to test offline.
+ *
+ * Dispatches "speakingstart" and "speakingend" events, which main.js uses to pair
+ * speech with the talking animation.
+ */
+export class LipSyncController extends THREE.EventDispatcher {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      ...defaultVisemeOptions,
+      fftSize: 1024,
+      // Smoothing time constants (seconds) for opening and closing the mouth
+      attack: 0.04,
+      release: 0.12,
+      // Mouth opening above which the character counts as speaking
+      speakingThreshold: 0.15,
+      // How long the opening must stay below the threshold to stop speaking
+      speakingHold: 0.4,
+      ...options,
+    };
+
+    this.audioContext = null;
+    this.analyser = null;
+    this.spectrum = null;
+    this.sourceNode = null;
+    // MediaElementSourceNodes can only be created once per element.
+    this.elementSources = new WeakMap();
+    // The connected MediaStream, whose tracks are stopped with the lip-sync
+    this.stream = null;
+
+    // --- Buffer playback ---
+    this.timeline = null; // from analyseAudioBuffer
+    this.bufferSource = null;
+    this.bufferStartTime = 0; // audioContext time at which the buffer started
+    this.bufferTime = 0; // playback position when running on the update clock
+    this.bufferLoop = false;
+
+    this.target = {};
+    this.weights = Object.fromEntries(Visemes.map((viseme) => [viseme, 0]));
+    this.volume = 0;
+    this.isSpeaking = false;
+    this.silenceTime = 0;
+  }
+
+  /**
+   * Whether a source is connected, or the mouth is still closing after one was stopped.
+   */
+  get active() {
+    return (
+      this.analyser !== null ||
+      this.timeline !== null ||
+      this.isSpeaking ||
+      Visemes.some((viseme) => this.weights[viseme] > 0.001)
+    );
+  }
+
+  /**
+   * Returns the AudioContext, creating it on first use.
+   * Browsers only let it start after a user gesture, so call this from one.
+   * @returns {AudioContext}
+   */
+  getAudioContext() {
+    if (!this.audioContext) this.audioContext = new AudioContext();
+    if (this.audioContext.state === "suspended") this.audioContext.resume();
+    return this.audioContext;
+  }
+
+  /**
+   * Analyses an `<audio>` or `<video>` element while it plays. It keeps playing through the speakers.
+   * @param {HTMLMediaElement} element - The media element.
+   */
+  connectElement(element) {
+    const context = this.getAudioContext();
+    if (!this.elementSources.has(element)) {
+      this.elementSources.set(element, context.createMediaElementSource(element));
+    }
+    this.connectSource(this.elementSources.get(element), true);
+  }
+
+  /**
+   * Analyses a MediaStream, e.g. from getUserMedia. It isn't played back, to avoid echo.
+   * The stream is handed over: stop() stops its tracks, which releases the microphone.
+   * @param {MediaStream} stream - The stream.
+   */
+  connectStream(stream) {
+    const context = this.getAudioContext();
+    this.connectSource(context.createMediaStreamSource(stream), false);
+    this.stream = stream;
+  }
+
+  /**
+   * Decodes an audio file.
+   * @param {string|Blob|ArrayBuffer} source - A url, a File/Blob, or the encoded bytes.
+   * @returns {Promise<AudioBuffer>} The decoded audio.
+   */
+  async loadAudio(source) {
+    let data = source;
+    if (typeof source === "string") {
+      data = await (await fetch(source)).arrayBuffer();
+    } else if (source instanceof Blob) {
+      data = await source.arrayBuffer();
+    }
+    return this.getAudioContext().decodeAudioData(data);
+  }
+
+  /**
+   * Plays a decoded audio buffer, lip-synced from an analysis made up front.
+   * @param {AudioBuffer} audioBuffer - The decoded audio.
+   * @param {object} [options]
+   * @param {boolean} [options.loop=false] - Whether to loop.
+   * @param {boolean} [options.output=true] - Play through the speakers and follow the
+   *   AudioContext clock. When false, nothing is played and the lip-sync advances with update().
+   */
+  playBuffer(audioBuffer, { loop = false, output = true } = {}) {
+    this.stop();
+    this.timeline = analyseAudioBuffer(audioBuffer, this.config);
+    this.bufferLoop = loop;
+    this.bufferTime = 0;
+
+    if (output) {
+      const context = this.getAudioContext();
+      const source = context.createBufferSource();
+      source.buffer = audioBuffer;
+      source.loop = loop;
+      source.connect(context.destination);
+      source.start();
+      this.bufferSource = source;
+      this.bufferStartTime = context.currentTime;
+    }
+  }
+
+  /**
+   * Disconnects the current source and lets the mouth close. A connected MediaStream
+   * is stopped, so the browser releases the microphone.
+   */
+  stop() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    if (this.sourceNode) {
+      // Only unhook the analyser, so a media element keeps playing.
+      this.sourceNode.disconnect(this.analyser);
+      this.sourceNode = null;
+    }
+    if (this.analyser) {
+      this.analyser.disconnect();
+      this.analyser = null;
+    }
+    if (this.bufferSource) {
+      this.bufferSource.stop();
+      this.bufferSource.disconnect();
+      this.bufferSource = null;
+    }
+    this.timeline = null;
+  }
+
+  /**
+   * Analyses the current source and smooths the result. Call once per frame.
+   * @param {number} deltaTime - Seconds since the last update.
+   * @returns {object} The smoothed viseme weights, by expression name.
+   */
+  update(deltaTime) {
+    if (this.analyser) {
+      this.analyser.getFloatFrequencyData(this.spectrum);
+      estimateVisemes(
+        this.spectrum,
+        this.audioContext.sampleRate,
+        this.config,
+        this.target
+      );
+    } else if (this.timeline) {
+      this.sampleTimeline(deltaTime);
+    } else {
+      for (const viseme of Visemes) this.target[viseme] = 0;
+      this.target.volume = 0;
+    }
+
+    for (const viseme of Visemes) {
+      const target = this.target[viseme];
+      const current = this.weights[viseme];
+      const timeConstant =
+        target > current ? this.config.attack : this.config.release;
+      this.weights[viseme] +=
+        (target - current) * (1 - Math.exp(-deltaTime / timeConstant));
+    }
+    this.volume = this.target.volume;
+    this.updateSpeaking(deltaTime);
+
+    return this.weights;
+  }
+
+  /**
+   * Fills this.target from the buffer analysis at the current playback position.
+   * @private
+   */
+  sampleTimeline(deltaTime) {
+    const { frameRate, duration, frames } = this.timeline;
+
+    let time;
+    if (this.bufferSource) {
+      time = this.audioContext.currentTime - this.bufferStartTime;
+    } else {
+      this.bufferTime += deltaTime;
+      time = this.bufferTime;
+    }
+    if (this.bufferLoop) {
+      time %= duration;
+    } else if (time >= duration) {
+      this.stop();
+      this.dispatchEvent({ type: "ended" });
+      for (const viseme of Visemes) this.target[viseme] = 0;
+      this.target.volume = 0;
+      return;
+    }
+
+    // Interpolate between the two nearest frames.
+    const position = time * frameRate;
+    const index = Math.min(Math.floor(position), frames.length - 1);
+    const a = frames[index];
+    const b = frames[Math.min(index + 1, frames.length - 1)];
+    const t = position - Math.floor(position);
+    for (const key of [...Visemes, "volume"]) {
+      this.target[key] = a[key] + (b[key] - a[key]) * t;
+    }
+  }
+
+  /**
+   * Dispatches speakingstart / speakingend as the mouth opening crosses the threshold.
+   * @private
+   */
+  updateSpeaking(deltaTime) {
+    if (this.volume >= this.config.speakingThreshold) {
+      this.silenceTime = 0;
+      if (!this.isSpeaking) {
+        this.isSpeaking = true;
+        this.dispatchEvent({ type: "speakingstart" });
+      }
+    } else if (this.isSpeaking) {
+      this.silenceTime += deltaTime;
+      if (this.silenceTime >= this.config.speakingHold) {
+        this.isSpeaking = false;
+        this.dispatchEvent({ type: "speakingend" });
+      }
+    }
+  }
+
+  /**
+   * Routes a source node through a fresh analyser.
+   * @private
+   */
+  connectSource(sourceNode, toSpeakers) {
+    this.stop();
+    const context = this.getAudioContext();
+    this.analyser = context.createAnalyser();
+    this.analyser.fftSize = this.config.fftSize;
+    // Smoothing is done per viseme in update().
+    this.analyser.smoothingTimeConstant = 0;
+    this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+
+    sourceNode.connect(this.analyser);
+    if (toSpeakers) sourceNode.connect(context.destination);
+    this.sourceNode = sourceNode;
+  }
+
+  /**
+   * Updates the analysis and smoothing settings.
+   * @param {object} newConfig - Any of the constructor options.
+   */
+  setConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    if (this.analyser && newConfig.fftSize) {
+      this.analyser.fftSize = newConfig.fftSize;
+      this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+    }
+  }
+}
@@ -1,4 +1,18 @@
 import * as THREE from "three";
+import { getOverrideWeights } from "./utils/expressionOverrides.js";
+import { EyeMovement } from "./EyeMovement.js";
+import { AttentionSystem } from "./AttentionSystem.js";
+
+const _gazeTarget = new THREE.Vector3();
+const _eyePosition = new THREE.Vector3();
+const _bodyForward = new THREE.Vector3();
+const _hipsQuaternion = new THREE.Quaternion();
+const _headPosition = new THREE.Vector3();
+const _lookDirection = new THREE.Vector3();
+const _pitchAxis = new THREE.Vector3();
+const _yawOffset = new THREE.Quaternion();
+const _pitchOffset = new THREE.Quaternion();
+const _up = new THREE.Vector3(0, 1, 0);
 
 export class LookAtController {
   constructor(vrm, camera) {
@@ -12,6 +26,27 @@ export class LookAtController {
     this.smoothing = 0.1; // Smoothing factor (0-1, lower = smoother)
     this.headSmoothingMultiplier = 0.8; // Head smoothing relative to eye smoothing
     this.verticalOffset = 0; // Offset to adjust where to look on the camera
+    this.animationWeight = 1; // How much head tracking the playing animation allows (0-1)
+
+    // How the head turn is spread over the upper body. Weights are each bone's share of
+    // the turn (over the bones the model has); limits are the most it turns, in degrees.
+    this.bodyChain = {
+      spine: { weight: 0.1, maxYaw: 8, maxPitch: 5 },
+      chest: { weight: 0.1, maxYaw: 8, maxPitch: 5 },
+      upperChest: { weight: 0.1, maxYaw: 8, maxPitch: 5 },
+      neck: { weight: 0.3, maxYaw: 30, maxPitch: 20 },
+      head: { weight: 0.4, maxYaw: 45, maxPitch: 30 },
+    };
+
+    // Saccades, face-region fixations and glances away; without it the eyes glide smoothly
+    this.eyeMovement = new EyeMovement();
+
+    // What to look at. The camera is the fallback when no other target qualifies.
+    this.attention = new AttentionSystem();
+    if (camera) {
+      this.cameraTarget = this.attention.addTarget("camera", camera, { priority: 0 });
+      this.attention.fallback = "camera";
+    }
     
     // Create a target object that the VRM can look at
     this.targetObject = new THREE.Object3D();
@@ -27,12 +62,6 @@ export class LookAtController {
     this.smoothedHeadRotationX = 0;
     this.smoothedHeadRotationY = 0;
     
-    // Separate smoothing for neck rotation
-    this.targetNeckRotationX = 0;
-    this.targetNeckRotationY = 0;
-    this.smoothedNeckRotationX = 0;
-    this.smoothedNeckRotationY = 0;
-    
     // Store initial camera position as default eye target
     this.defaultEyeTarget = new THREE.Vector3();
     if (camera) {
@@ -69,6 +98,60 @@ export class LookAtController {
   
   setVerticalOffset(value) {
     this.verticalOffset = value;
+    if (this.cameraTarget) this.cameraTarget.offset.y = value;
+  }
+
+  /**
+   * Registers something to look at (see AttentionSystem.addTarget for the options).
+   * @param {string} name - A name to refer to the target by.
+   * @param {THREE.Object3D|THREE.Vector3|function(): ?THREE.Vector3} source - What to look at.
+   * @param {object} [options] - Priority, interest decay, distance and angle limits, ...
+   * @returns {object} The target entry.
+   */
+  addTarget(name, source, options) {
+    return this.attention.addTarget(name, source, options);
+  }
+
+  removeTarget(name) {
+    this.attention.removeTarget(name);
+  }
+
+  // Renews a target's interest, e.g. when the pointer moves
+  pokeTarget(name, interest) {
+    this.attention.poke(name, interest);
+  }
+
+  setEyeMovementEnabled(enabled) {
+    this.eyeMovement.enabled = enabled;
+  }
+
+  /**
+   * Changes how the head turn is spread over the upper body.
+   * @param {object} config - Settings by bone name, e.g. `{ neck: { weight: 0.5, maxYaw: 40 } }`;
+   *   settings not given are kept.
+   */
+  setBodyChain(config) {
+    for (const [boneName, settings] of Object.entries(config)) {
+      this.bodyChain[boneName] = { ...this.bodyChain[boneName], ...settings };
+    }
+  }
+
+  /**
+   * Scales head tracking for the playing animation, e.g. from AnimationController.getLookAtWeight.
+   * @param {number} weight - 0 leaves the animated head alone, 1 tracks fully.
+   */
+  setAnimationWeight(weight) {
+    this.animationWeight = THREE.MathUtils.clamp(weight, 0, 1);
+  }
+
+  /**
+   * The bones look-at turns, for AnimationController.trackPose.
+   * @returns {THREE.Object3D[]} The model's normalized bone nodes of the body chain.
+   */
+  getBodyChainBones() {
+    return Object.keys(this.bodyChain)
+      .map((boneName) => this.vrm.humanoid?.getNormalizedBoneNode(boneName))
+      .filter(Boolean);
   }
   
   update(deltaTime) {
@@ -84,13 +167,23 @@ export class LookAtController {
     const headSmoothingFactor = eyeSmoothingFactor * this.headSmoothingMultiplier;
     
     if (this.enabled) {
-      // Normal tracking behavior
-      // Get camera position with vertical offset
-      this.currentTarget.copy(this.camera.position);
-      this.currentTarget.y += this.verticalOffset;
+      // Normal tracking behavior: look where attention is
+      const eyePosition = this.vrm.lookAt.getLookAtWorldPosition(_eyePosition);
+      this.attention.update(deltaTime, eyePosition, this.getBodyForward(_bodyForward));
+      this.currentTarget.copy(this.attention.point);
       
-      // Smooth eye target position
-      this.smoothedEyeTarget.lerp(this.currentTarget, eyeSmoothingFactor);
+      // Eye target: procedural eye movement, or a smooth glide to the target
+      if (this.eyeMovement.enabled) {
+        this.eyeMovement.update(
+          deltaTime,
+          eyePosition,
+          this.currentTarget,
+          this.attention.faceQuaternion,
+          this.smoothedEyeTarget
+        );
+      } else {
+        this.smoothedEyeTarget.lerp(this.currentTarget, eyeSmoothingFactor);
+      }
       
       // Update the target object position for eyes
       this.targetObject.position.copy(this.smoothedEyeTarget);
@@ -101,95 +194,39 @@ export class LookAtController {
         this.vrm.lookAt.autoUpdate = true;
       }
       
-      // Handle head and neck rotation
-      if (this.headIntensity > 0) {
-        const headBone = this.vrm.humanoid?.getNormalizedBoneNode('head');
-        const neckBone = this.vrm.humanoid?.getNormalizedBoneNode('neck');
-        
-        if (headBone) {
-          // Get head world position
-          const headWorldPos = new THREE.Vector3();
-          headBone.getWorldPosition(headWorldPos);
-          
-          // Calculate direction from head to CURRENT target (not smoothed)
-          const direction = new THREE.Vector3();
-          direction.subVectors(this.currentTarget, headWorldPos).normalize();
-          
-          // Calculate rotation angles
-          const horizontal = Math.atan2(direction.x, direction.z);
-          const vertical = Math.asin(Math.max(-1, Math.min(1, direction.y)));
-          
-          // Apply intensity and clamp angles
-          const maxHorizontal = Math.PI * 0.5; // 90 degrees
-          const maxVertical = Math.PI * 0.4; // 72 degrees
-          
-          // Calculate target rotations with intensity
-          this.targetHeadRotationY = THREE.MathUtils.clamp(
-            horizontal * this.headIntensity * 2.0, 
-            -maxHorizontal, 
-            maxHorizontal
-          );
-          this.targetHeadRotationX = THREE.MathUtils.clamp(
-            vertical * this.headIntensity * 2.0, 
-            -maxVertical, 
-            maxVertical
-          );
-          
-          // Smooth the rotation angles
-          this.smoothedHeadRotationX = THREE.MathUtils.lerp(
-            this.smoothedHeadRotationX,
-            this.targetHeadRotationX,
-            headSmoothingFactor
-          );
-          this.smoothedHeadRotationY = THREE.MathUtils.lerp(
-            this.smoothedHeadRotationY,
-            this.targetHeadRotationY,
-            headSmoothingFactor
-          );
-          
-          // Apply smoothed rotation to head
-          const headQuaternion = new THREE.Quaternion();
-          headQuaternion.setFromEuler(new THREE.Euler(
-            this.smoothedHeadRotationX,
-            this.smoothedHeadRotationY,
-            0,
-            'YXZ'
-          ));
-          headBone.quaternion.copy(headQuaternion);
-          
-          // Handle neck rotation (activates after 50% head intensity)
-          if (neckBone && this.headIntensity > 0.5) {
-            const neckIntensity = (this.headIntensity - 0.5) * 0.5;
-            const neckSmoothingFactor = headSmoothingFactor * 0.7;
-            
-            // Calculate target neck rotations
-            this.targetNeckRotationX = this.targetHeadRotationX * neckIntensity * 0.3;
-            this.targetNeckRotationY = this.targetHeadRotationY * neckIntensity * 0.3;
-            
-            // Smooth neck rotations
-            this.smoothedNeckRotationX = THREE.MathUtils.lerp(
-              this.smoothedNeckRotationX,
-              this.targetNeckRotationX,
-              neckSmoothingFactor
-            );
-            this.smoothedNeckRotationY = THREE.MathUtils.lerp(
-              this.smoothedNeckRotationY,
-              this.targetNeckRotationY,
-              neckSmoothingFactor
-            );
-            
-            // Apply smoothed rotation to neck
-            const neckQuaternion = new THREE.Quaternion();
-            neckQuaternion.setFromEuler(new THREE.Euler(
-              this.smoothedNeckRotationX,
-              this.smoothedNeckRotationY,
-              0,
-              'YXZ'
-            ));
-            neckBone.quaternion.copy(neckQuaternion);
-          }
-        }
+      // Head and body turn towards the CURRENT target (not the eye fixation)
+      const angles = this.headIntensity > 0 ? this.getLookAngles(this.currentTarget) : null;
+      if (angles) {
+        // Apply intensity and clamp angles
+        const maxHorizontal = Math.PI * 0.5; // 90 degrees
+        const maxVertical = Math.PI * 0.4; // 72 degrees
+        this.targetHeadRotationY = THREE.MathUtils.clamp(
+          angles.yaw * this.headIntensity * 2.0,
+          -maxHorizontal,
+          maxHorizontal
+        );
+        this.targetHeadRotationX = THREE.MathUtils.clamp(
+          angles.pitch * this.headIntensity * 2.0,
+          -maxVertical,
+          maxVertical
+        );
+      } else {
+        this.targetHeadRotationX = 0;
+        this.targetHeadRotationY = 0;
       }
+      
+      // Smooth the rotation angles
+      this.smoothedHeadRotationX = THREE.MathUtils.lerp(
+        this.smoothedHeadRotationX,
+        this.targetHeadRotationX,
+        headSmoothingFactor
+      );
+      this.smoothedHeadRotationY = THREE.MathUtils.lerp(
+        this.smoothedHeadRotationY,
+        this.targetHeadRotationY,
+        headSmoothingFactor
+      );
+      this.applyBodyChain();
     } else {
       // Smoothly return to default position when disabled
       
@@ -201,11 +238,9 @@ export class LookAtController {
       this.vrm.lookAt.target = this.targetObject;
       this.vrm.lookAt.autoUpdate = true;
       
-      // For head/neck: Smoothly return to zero rotation
+      // For head and body: Smoothly return to the animated pose
       this.targetHeadRotationX = 0;
       this.targetHeadRotationY = 0;
-      this.targetNeckRotationX = 0;
-      this.targetNeckRotationY = 0;
       
       // Smooth the rotation angles toward zero
       this.smoothedHeadRotationX = THREE.MathUtils.lerp(
@@ -218,42 +253,7 @@ export class LookAtController {
         0,
         headSmoothingFactor
       );
-      this.smoothedNeckRotationX = THREE.MathUtils.lerp(
-        this.smoothedNeckRotationX,
-        0,
-        headSmoothingFactor * 0.7
-      );
-      this.smoothedNeckRotationY = THREE.MathUtils.lerp(
-        this.smoothedNeckRotationY,
-        0,
-        headSmoothingFactor * 0.7
-      );
-      
-      // Apply the smoothed rotations
-      const headBone = this.vrm.humanoid?.getNormalizedBoneNode('head');
-      const neckBone = this.vrm.humanoid?.getNormalizedBoneNode('neck');
-      
-      if (headBone) {
-        const headQuaternion = new THREE.Quaternion();
-        headQuaternion.setFromEuler(new THREE.Euler(
-          this.smoothedHeadRotationX,
-          this.smoothedHeadRotationY,
-          0,
-          'YXZ'
-        ));
-        headBone.quaternion.copy(headQuaternion);
-      }
-      
-      if (neckBone) {
-        const neckQuaternion = new THREE.Quaternion();
-        neckQuaternion.setFromEuler(new THREE.Euler(
-          this.smoothedNeckRotationX,
-          this.smoothedNeckRotationY,
-          0,
-          'YXZ'
-        ));
-        neckBone.quaternion.copy(neckQuaternion);
-      }
+      this.applyBodyChain();
       
       // Once everything is close enough to default, fully reset
       const threshold = 0.001;
@@ -261,19 +261,112 @@ export class LookAtController {
       
       if (Math.abs(this.smoothedHeadRotationX) < threshold &&
           Math.abs(this.smoothedHeadRotationY) < threshold &&
-          Math.abs(this.smoothedNeckRotationX) < threshold &&
-          Math.abs(this.smoothedNeckRotationY) < threshold &&
           eyeDiff < 0.01) {
         // Now we can safely remove the lookAt target
         this.vrm.lookAt.target = null;
         this.vrm.lookAt.autoUpdate = true;
       }
     }
+
+    this.applyGazeOverride();
+  }
+
+  // Expressions with overrideLookAt (e.g. happy, with its closed eyes) pull the eyes
+  // back towards rest in proportion to how much gaze they leave. Models that look with
+  // expressions (lookLeft, ...) have those suppressed by three-vrm already.
+  applyGazeOverride() {
+    const lookAt = this.vrm.lookAt;
+    const gazeWeight =
+      this.vrm.expressionManager && lookAt.applier?.constructor.type === "bone"
+        ? getOverrideWeights(this.vrm.expressionManager).lookAt
+        : 1;
+    if (gazeWeight >= 1 || !lookAt.target) {
+      lookAt.autoUpdate = true;
+      return;
+    }
+
+    // Aim now instead of in vrm.update, so the angles can be scaled before they're applied.
+    lookAt.autoUpdate = false;
+    lookAt.lookAt(lookAt.target.getWorldPosition(_gazeTarget));
+    lookAt.yaw *= gazeWeight;
+    lookAt.pitch *= gazeWeight;
   }
   
-  // Helper method to look at a specific point immediately
-  lookAtPoint(point) {
+  // Yaw and pitch (radians) from the head to a point, relative to where the body faces
+  getLookAngles(point) {
+    const humanoid = this.vrm.humanoid;
+    const head = humanoid?.getNormalizedBoneNode("head");
+    if (!head) return null;
+
+    // In the hips' space, so the turn is relative to the animated body
+    _lookDirection.subVectors(point, head.getWorldPosition(_headPosition));
+    const hips = humanoid.getNormalizedBoneNode("hips");
+    if (hips) _lookDirection.applyQuaternion(hips.getWorldQuaternion(_hipsQuaternion).invert());
+    _lookDirection.normalize();
+
+    const front = this.vrm.lookAt.faceFront;
+    const yaw = Math.atan2(_lookDirection.x, _lookDirection.z) - Math.atan2(front.x, front.z);
+    return {
+      yaw: Math.atan2(Math.sin(yaw), Math.cos(yaw)), // Wrapped to -PI..PI
+      pitch: Math.asin(THREE.MathUtils.clamp(_lookDirection.y, -1, 1)),
+    };
+  }
+
+  // Turns the body chain by the smoothed head rotation, on top of the animated pose.
+  // Each bone takes its share of the turn, up to its limits.
+  applyBodyChain() {
+    const humanoid = this.vrm.humanoid;
+    if (!humanoid) return;
+    const yaw = this.smoothedHeadRotationY * this.animationWeight;
+    const pitch = this.smoothedHeadRotationX * this.animationWeight;
+    if (yaw === 0 && pitch === 0) return;
+
+    const bones = Object.entries(this.bodyChain)
+      .map(([boneName, settings]) => [humanoid.getNormalizedBoneNode(boneName), settings])
+      .filter(([bone]) => bone);
+    const totalWeight = bones.reduce((sum, [, settings]) => sum + settings.weight, 0);
+    if (totalWeight <= 0) return;
+
+    // Pitch turns about the face's right-hand axis, so looking up works for either facing
+    _pitchAxis.crossVectors(this.vrm.lookAt.faceFront, _up).normalize();
+    for (const [bone, settings] of bones) {
+      const share = settings.weight / totalWeight;
+      const maxYaw = THREE.MathUtils.degToRad(settings.maxYaw);
+      const maxPitch = THREE.MathUtils.degToRad(settings.maxPitch);
+      _yawOffset.setFromAxisAngle(_up, THREE.MathUtils.clamp(yaw * share, -maxYaw, maxYaw));
+      _pitchOffset.setFromAxisAngle(
+        _pitchAxis,
+        THREE.MathUtils.clamp(pitch * share, -maxPitch, maxPitch)
+      );
+      // In the parent's space, i.e. after the animated rotation
+      bone.quaternion.premultiply(_yawOffset.multiply(_pitchOffset));
+    }
+  }
+
+  // Where the body faces (not the head, which look-at turns), in world space
+  getBodyForward(target) {
+    const hips = this.vrm.humanoid?.getNormalizedBoneNode("hips");
+    target.copy(this.vrm.lookAt.faceFront);
+    if (hips) target.applyQuaternion(hips.getWorldQuaternion(_hipsQuaternion));
+    return target.normalize();
+  }
+
+  /**
+   * Looks at a point right away, and keeps looking at it until interest runs out.
+   * @param {THREE.Vector3} point - The point, in world space.
+   * @param {object} [options]
+   * @param {number} [options.duration=2] - Seconds until attention returns to the other targets.
+   * @param {number} [options.priority=10] - Priority over the other targets.
+   */
+  lookAtPoint(point, { duration = 2, priority = 10 } = {}) {
     if (!this.enabled || !this.vrm || !this.vrm.lookAt) return;
+
+    this.attention.addTarget("point", point.clone(), {
+      priority,
+      decay: 1 / duration,
+      temporary: true,
+    });
+    this.attention.snap();
     
     this.currentTarget.copy(point);
     // Skip smoothing for immediate look
@@ -283,23 +376,12 @@ export class LookAtController {
     this.vrm.lookAt.update(0);
     
     // Also update head immediately if enabled
-    if (this.headIntensity > 0) {
-      const headBone = this.vrm.humanoid?.getNormalizedBoneNode('head');
-      if (headBone) {
-        const headWorldPos = new THREE.Vector3();
-        headBone.getWorldPosition(headWorldPos);
-        
-        const direction = new THREE.Vector3();
-        direction.subVectors(point, headWorldPos).normalize();
-        
-        const horizontal = Math.atan2(direction.x, direction.z);
-        const vertical = Math.asin(Math.max(-1, Math.min(1, direction.y)));
-        
-        this.targetHeadRotationY = horizontal * this.headIntensity;
-        this.targetHeadRotationX = vertical * this.headIntensity;
-        this.smoothedHeadRotationX = this.targetHeadRotationX;
-        this.smoothedHeadRotationY = this.targetHeadRotationY;
-      }
+    const angles = this.headIntensity > 0 ? this.getLookAngles(point) : null;
+    if (angles) {
+      this.targetHeadRotationY = angles.yaw * this.headIntensity;
+      this.targetHeadRotationX = angles.pitch * this.headIntensity;
+      this.smoothedHeadRotationX = this.targetHeadRotationX;
+      this.smoothedHeadRotationY = this.targetHeadRotationY;
     }
   }
   
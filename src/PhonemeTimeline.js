@@ -0,0 +1,158 @@
+import { Visemes } from "./utils/visemeAnalysis.js";
+import { lookupPhoneme, isArpabet, silencePhoneme } from "./utils/phonemes.js";
+
+/**
+ * Phoneme timings (e.g. from a TTS engine) turned into VRM viseme weights over time.
+ *
+ * Input is an array of `{ phoneme, start, end }` with times in seconds, or an object
+ * with such an array in `phonemes`. Phonemes may be ARPAbet ("AH0", "M") or IPA ("ə", "m").
+ *
+ * Neighbouring phonemes blend into each other (coarticulation) using dominance
+ * functions: each phoneme pulls the mouth towards its shape with a strength that
+ * decays with distance in time, and dominant phonemes like lip closures win.
+ */
+export class PhonemeTimeline {
+  /**
+   * @param {object[]|{phonemes: object[]}} data - The phoneme timings.
+   * @param {object} [options]
+   * @param {string} [options.alphabet="auto"] - "arpabet", "ipa", or "auto" to detect it from the symbols.
+   * @param {number} [options.coarticulation=0.04] - How far (seconds) a phoneme's influence
+   *   reaches into its neighbours. 0 switches shapes abruptly.
+   * @param {number} [options.intensity=1] - Multiplier for all viseme weights.
+   */
+  constructor(data, options = {}) {
+    const { alphabet = "auto", coarticulation = 0.04, intensity = 1 } = options;
+    const phonemes = Array.isArray(data) ? data : data?.phonemes;
+
+    if (!Array.isArray(phonemes)) {
+      throw new Error(
+        "PhonemeTimeline: Expected an array of { phoneme, start, end }."
+      );
+    }
+    for (const entry of phonemes) {
+      if (
+        typeof entry.phoneme !== "string" ||
+        !(entry.end >= entry.start) ||
+        !(entry.start >= 0)
+      ) {
+        throw new Error(
+          `PhonemeTimeline: Invalid entry ${JSON.stringify(entry)}.`
+        );
+      }
+    }
+
+    this.coarticulation = coarticulation;
+    this.intensity = intensity;
+    this.alphabet =
+      alphabet === "auto" ? detectAlphabet(phonemes) : alphabet;
+
+    const sorted = [...phonemes].sort((a, b) => a.start - b.start);
+    this.duration = sorted.length > 0 ? Math.max(...sorted.map((p) => p.end)) : 0;
+    this.segments = this.buildSegments(sorted);
+  }
+
+  /**
+   * Splits phonemes into segments of one shape each (diphthongs get two),
+   * filling gaps with silence.
+   * @private
+   */
+  buildSegments(phonemes) {
+    const segments = [];
+    const unknown = new Set();
+    let time = 0;
+
+    const addSegment = (start, end, shape, dominance) => {
+      if (end > start) segments.push({ start, end, shape, dominance });
+    };
+
+    for (const { phoneme, start, end } of phonemes) {
+      if (start > time) addSegment(time, start, {}, silencePhoneme.dominance);
+
+      let mapping = lookupPhoneme(phoneme, this.alphabet);
+      if (!mapping) {
+        unknown.add(phoneme);
+        mapping = silencePhoneme;
+      }
+      const partLength = (end - start) / mapping.shapes.length;
+      mapping.shapes.forEach((shape, i) => {
+        addSegment(
+          start + i * partLength,
+          start + (i + 1) * partLength,
+          shape,
+          mapping.dominance
+        );
+      });
+      time = Math.max(time, end);
+    }
+
+    if (unknown.size > 0) {
+      console.warn(
+        `PhonemeTimeline: Unknown phonemes treated as silence: ${[...unknown].join(" ")}`
+      );
+    }
+    return segments;
+  }
+
+  /**
+   * Evaluates the viseme weights at a time.
+   * @param {number} time - Seconds from the start of the timeline.
+   * @param {object} [target] - Object to write the result into.
+   * @returns {{aa: number, ih: number, ou: number, ee: number, oh: number}} Weights from 0 to 1.
+   */
+  evaluate(time, target = {}) {
+    for (const viseme of Visemes) target[viseme] = 0;
+    if (time < 0 || time > this.duration + this.coarticulation * 3) {
+      return target;
+    }
+
+    // Influence beyond this distance is negligible (e^-5 < 1%).
+    const reach = this.coarticulation * 5;
+    let dominanceSum = 0;
+
+    for (const segment of this.segments) {
+      if (segment.start > time + reach) break;
+      const distance = Math.max(segment.start - time, time - segment.end, 0);
+      if (distance > reach) continue;
+
+      const dominance =
+        this.coarticulation > 0
+          ? segment.dominance * Math.exp(-distance / this.coarticulation)
+          : distance === 0
+          ? segment.dominance
+          : 0;
+      dominanceSum += dominance;
+      for (const viseme of Visemes) {
+        target[viseme] += (segment.shape[viseme] ?? 0) * dominance;
+      }
+    }
+
+    // After the last phoneme, fade to a closed mouth against an implicit silence.
+    if (time > this.duration) {
+      dominanceSum += silencePhoneme.dominance;
+    }
+
+    for (const viseme of Visemes) {
+      target[viseme] =
+        dominanceSum > 0
+          ? Math.min((target[viseme] / dominanceSum) * this.intensity, 1)
+          : 0;
+    }
+    return target;
+  }
+}
+
+/**
+ * ARPAbet if every symbol is a known ARPAbet phoneme and at least one is written in
+ * capitals (single lowercase letters like "m" or "s" are valid IPA too).
+ * @private
+ */
+function detectAlphabet(phonemes) {
+  const symbols = phonemes
+    .map((entry) => entry.phoneme.trim())
+    .filter((symbol) => lookupPhoneme(symbol, "ipa") !== silencePhoneme);
+  const arpabet =
+    symbols.length > 0 &&
+    symbols.every(isArpabet) &&
+    symbols.some((symbol) => /[A-Z]/.test(symbol));
+  return arpabet ? "arpabet" : "ipa";
+}
@@ -0,0 +1,286 @@
+import * as THREE from "three";
+import { createRandom } from "./utils/random.js";
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _front = new THREE.Vector3();
+const _pitchAxis = new THREE.Vector3();
+const _left = new THREE.Vector3();
+const _rotation = new THREE.Quaternion();
+const _parentQuaternion = new THREE.Quaternion();
+const _pivot = new THREE.Vector3();
+const _from = new THREE.Vector3();
+const _to = new THREE.Vector3();
+const _footPositions = [new THREE.Vector3(), new THREE.Vector3()];
+
+/**
+ * Procedural secondary motion on top of the animation, so the body never stands perfectly
+ * still: breathing in the chest and shoulders, a slow sway of the spine, and every few
+ * seconds a shift of the weight from one leg to the other (the hips slide over the
+ * standing leg and tilt up on its side, while the feet stay where they were).
+ *
+ * Everything is driven by an energy level from 0 (calm) to 1 (agitated): faster, deeper
+ * breaths, more sway and more frequent weight shifts. The current emotion raises or lowers
+ * it, e.g. surprise and anger quicken the breathing, sadness slows it.
+ *
+ * Runs on the normalized bones right after the animation, before look-at and IK (which
+ * then work from the moved pose); its bones must be tracked with AnimationController.trackPose.
+ */
+export class SecondaryMotion {
+  /**
+   * @param {VRM} vrm - The VRM.
+   * @param {object} [options]
+   * @param {EmotionController} [options.emotionController] - Whose emotions change the energy.
+   * @param {number} [options.seed] - Seed for the weight-shift timing, for reproducible runs.
+   */
+  constructor(vrm, options = {}) {
+    this.vrm = vrm;
+    this.emotionController = options.emotionController ?? null;
+    this.random = createRandom(options.seed);
+    this.enabled = true;
+
+    this.config = {
+      // Energy without any emotion (0-1)
+      energy: 0.4,
+      // How much each emotion adds to the energy at full weight
+      emotionEnergy: {
+        surprised: 0.5,
+        angry: 0.4,
+        happy: 0.2,
+        relaxed: -0.2,
+        sad: -0.3,
+      },
+      // How quickly the energy follows changes (per second)
+      energySmoothing: 1.5,
+      // Breaths per minute at energy 0 and 1
+      minBreathingRate: 10,
+      maxBreathingRate: 26,
+      // Share of each breath spent breathing in
+      inhaleRatio: 0.4,
+      // Chest lift and shoulder rise of a full breath, in degrees (scaled by energy)
+      breathAngle: 2.5,
+      shoulderRise: 1.2,
+      // Spine sway, in degrees, and sways per second
+      swayAngle: 0.8,
+      swayRate: 0.12,
+      // Seconds between weight shifts at energy 1 and 0
+      minShiftInterval: 3,
+      maxShiftInterval: 10,
+      // Seconds a shift takes
+      shiftDuration: 1.2,
+      // How far the hips slide over the standing leg (metres) and tilt up on its side (degrees)
+      shiftDistance: 0.025,
+      hipTilt: 3,
+    };
+
+    this.energy = this.config.energy;
+    this.weight = 1;
+    this.time = 0;
+    this.breathPhase = 0;
+    // Which leg carries the weight: -1 right, 0 both, 1 left; eased from one to the next
+    this.shift = { from: 0, to: 0, time: 0, value: 0 };
+    this.nextShift = this.getShiftInterval();
+  }
+
+  /**
+   * Fades the motion in or out.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  setConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
+  /**
+   * Sets the energy without any emotion.
+   * @param {number} energy - 0 (calm) to 1 (agitated).
+   */
+  setEnergy(energy) {
+    this.config.energy = THREE.MathUtils.clamp(energy, 0, 1);
+  }
+
+  /**
+   * The bones this moves, for AnimationController.trackPose.
+   * @returns {THREE.Object3D[]} The normalized hips, spine chain, shoulders and upper legs.
+   */
+  getBones() {
+    return [
+      "hips",
+      "spine",
+      "chest",
+      "upperChest",
+      "leftShoulder",
+      "rightShoulder",
+      "leftUpperLeg",
+      "rightUpperLeg",
+    ]
+      .map((name) => this.vrm.humanoid?.getNormalizedBoneNode(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Advances the motion and applies it to the animated pose. Call right after the
+   * animation has updated.
+   * @param {number} deltaTime - Seconds since the last update.
+   */
+  update(deltaTime) {
+    const humanoid = this.vrm?.humanoid;
+    if (!humanoid) return;
+
+    // Fade in and out over half a second
+    const fade = deltaTime * 2;
+    this.weight = this.enabled
+      ? Math.min(1, this.weight + fade)
+      : Math.max(0, this.weight - fade);
+    if (this.weight === 0) return;
+
+    const config = this.config;
+    this.time += deltaTime;
+    this.energy +=
+      (this.getTargetEnergy() - this.energy) *
+      (1 - Math.exp(-config.energySmoothing * deltaTime));
+    const energy = this.energy;
+
+    // Humanoid space: the bones' rest frames are all aligned with it
+    _front.copy(this.vrm.lookAt?.faceFront ?? new THREE.Vector3(0, 0, 1));
+    _pitchAxis.crossVectors(_up, _front); // Turning about it leans forward
+
+    // Breathing: a quick breath in, a slower breath out
+    const rate = THREE.MathUtils.lerp(
+      config.minBreathingRate,
+      config.maxBreathingRate,
+      energy
+    );
+    this.breathPhase = (this.breathPhase + (rate / 60) * deltaTime) % 1;
+    const depth = this.weight * THREE.MathUtils.lerp(0.7, 1.3, energy);
+    const breath = depth * this.getBreath(this.breathPhase);
+    const chestLift = -THREE.MathUtils.degToRad(config.breathAngle) * breath;
+    this.rotate("chest", _pitchAxis, chestLift * 0.6);
+    this.rotate("upperChest", _pitchAxis, chestLift * 0.4);
+    // Positive turns about the front raise the left side
+    const shoulderRise = THREE.MathUtils.degToRad(config.shoulderRise) * breath;
+    this.rotate("leftShoulder", _front, shoulderRise);
+    this.rotate("rightShoulder", _front, -shoulderRise);
+
+    // Sway: two slow, unrelated waves, so it never quite repeats
+    const sway =
+      this.weight *
+      THREE.MathUtils.degToRad(config.swayAngle) *
+      THREE.MathUtils.lerp(0.6, 1.4, energy);
+    const t = this.time * config.swayRate * Math.PI * 2;
+    this.rotate("spine", _front, sway * Math.sin(t));
+    this.rotate("spine", _up, sway * 0.6 * Math.sin(t * 0.63 + 1.7));
+
+    this.updateWeightShift(deltaTime);
+    this.applyWeightShift(this.shift.value * this.weight);
+  }
+
+  // The energy the emotions ask for
+  getTargetEnergy() {
+    let energy = this.config.energy;
+    const weights = this.emotionController?.getWeights();
+    for (const [name, weight] of weights ?? []) {
+      energy += weight * (this.config.emotionEnergy[name] ?? 0);
+    }
+    return THREE.MathUtils.clamp(energy, 0, 1);
+  }
+
+  // How full the lungs are (0-1) at a point in the breath
+  getBreath(phase) {
+    const inhale = this.config.inhaleRatio;
+    return phase < inhale
+      ? 0.5 - 0.5 * Math.cos((Math.PI * phase) / inhale)
+      : 0.5 + 0.5 * Math.cos((Math.PI * (phase - inhale)) / (1 - inhale));
+  }
+
+  getShiftInterval() {
+    const interval = THREE.MathUtils.lerp(
+      this.config.maxShiftInterval,
+      this.config.minShiftInterval,
+      this.energy
+    );
+    return interval * (0.7 + 0.6 * this.random());
+  }
+
+  updateWeightShift(deltaTime) {
+    const shift = this.shift;
+    this.nextShift -= deltaTime;
+    if (this.nextShift <= 0) {
+      // To one of the other two stances
+      const stances = [-1, 0, 1].filter((stance) => stance !== shift.to);
+      shift.from = shift.value;
+      shift.to = stances[Math.floor(this.random() * stances.length)];
+      shift.time = 0;
+      this.nextShift = this.getShiftInterval();
+    }
+    shift.time = Math.min(shift.time + deltaTime, this.config.shiftDuration);
+    const s = shift.time / this.config.shiftDuration;
+    shift.value = THREE.MathUtils.lerp(
+      shift.from,
+      shift.to,
+      s * s * (3 - 2 * s)
+    );
+  }
+
+  // Slides and tilts the hips over the standing leg, keeping the feet and the upper body
+  // where they were. `side` is 1 for all the weight on the left leg, -1 for the right.
+  applyWeightShift(side) {
+    if (Math.abs(side) < 1e-4) return;
+    const humanoid = this.vrm.humanoid;
+    const hips = humanoid.getNormalizedBoneNode("hips");
+    const legs = ["left", "right"].map((name, i) => ({
+      upperLeg: humanoid.getNormalizedBoneNode(`${name}UpperLeg`),
+      foot: humanoid.getNormalizedBoneNode(`${name}Foot`),
+      footPosition: _footPositions[i],
+    }));
+    if (
+      !hips?.parent ||
+      legs.some(({ upperLeg, foot }) => !upperLeg || !foot)
+    ) {
+      return;
+    }
+
+    hips.updateWorldMatrix(true, true);
+    for (const leg of legs)
+      leg.footPosition.setFromMatrixPosition(leg.foot.matrixWorld);
+
+    // Towards the left leg, in the hips' parent space
+    _left
+      .setFromMatrixPosition(legs[0].upperLeg.matrix)
+      .sub(_from.setFromMatrixPosition(legs[1].upperLeg.matrix))
+      .applyQuaternion(hips.quaternion);
+    _left.y = 0;
+    if (_left.lengthSq() < 1e-8) return;
+    hips.position.addScaledVector(
+      _left.normalize(),
+      side * this.config.shiftDistance
+    );
+    const tilt = side * THREE.MathUtils.degToRad(this.config.hipTilt);
+    this.rotate("hips", _front, tilt);
+    this.rotate("spine", _front, -tilt);
+    hips.updateWorldMatrix(false, true);
+
+    // Turn the legs so the feet stay put; foot grounding takes up any height difference
+    for (const { upperLeg, foot, footPosition } of legs) {
+      _pivot.setFromMatrixPosition(upperLeg.matrixWorld);
+      _from.setFromMatrixPosition(foot.matrixWorld).sub(_pivot).normalize();
+      _to.subVectors(footPosition, _pivot).normalize();
+      _rotation.setFromUnitVectors(_from, _to);
+      upperLeg.parent.getWorldQuaternion(_parentQuaternion);
+      upperLeg.quaternion
+        .premultiply(_parentQuaternion)
+        .premultiply(_rotation)
+        .premultiply(_parentQuaternion.invert());
+      upperLeg.updateWorldMatrix(false, true);
+    }
+  }
+
+  // Turns a bone about an axis of its own rest frame, on top of its current pose
+  rotate(boneName, axis, angle) {
+    const node = this.vrm.humanoid.getNormalizedBoneNode(boneName);
+    if (!node || angle === 0) return;
+    node.quaternion.multiply(_rotation.setFromAxisAngle(axis, angle));
+  }
+}
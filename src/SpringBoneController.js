@@ -0,0 +1,298 @@
+import * as THREE from "three";
+import {
+  VRMSpringBoneColliderHelper,
+  VRMSpringBoneJointHelper,
+} from "@pixiv/three-vrm";
+import {
+  getSpringChains,
+  getColliderGroupName,
+  serializeSpringBones,
+  exportSpringBonesToVRM,
+} from "./utils/springBones.js";
+
+const _gravity = new THREE.Vector3();
+const _wind = new THREE.Vector3();
+
+/**
+ * Live tuning for a VRM's spring bones (hair, skirts, accessories): per-chain stiffness,
+ * drag, gravity and hit radius, collider sizes, wind, collider and joint helpers, and
+ * exporting the tuned values.
+ *
+ * Wind is applied through each joint's gravity, the only external force the spring bone
+ * simulation takes: every frame a joint's gravity becomes its own (tuned) gravity plus the
+ * wind. Call update before vrm.update so the simulation sees it.
+ */
+export class SpringBoneController {
+  /**
+   * @param {VRM} vrm - The VRM.
+   * @param {THREE.Scene} scene - Where the helpers are shown.
+   * @param {GLTFParser} [parser] - The parser the VRM was loaded with, to export .vrm files.
+   */
+  constructor(vrm, scene, parser = null) {
+    this.vrm = vrm;
+    this.scene = scene;
+    this.parser = parser;
+    this.manager = vrm.springBoneManager ?? null;
+
+    this.config = {
+      wind: {
+        // World-space direction the wind blows towards
+        direction: new THREE.Vector3(1, 0, 0),
+        // Added to the joints' gravity power
+        strength: 0,
+        // How much the strength varies in gusts (0-1)
+        turbulence: 0.5,
+        // Gusts per second, roughly
+        frequency: 0.5,
+      },
+    };
+
+    this.chains = this.manager ? getSpringChains(this.manager) : [];
+    this.colliderGroups = (this.manager?.colliderGroups ?? []).map(
+      (group, i) => ({ name: getColliderGroupName(group, i), group })
+    );
+
+    // Each joint's own gravity, which the wind is added to
+    this.baseGravity = new Map();
+    for (const joint of this.manager?.joints ?? []) {
+      this.baseGravity.set(joint, {
+        power: joint.settings.gravityPower,
+        direction: joint.settings.gravityDir.clone(),
+      });
+    }
+
+    this.time = 0;
+    this.windApplied = false;
+    this.colliderHelpers = [];
+    this.jointHelpers = [];
+  }
+
+  setConfig(newConfig) {
+    this.config = {
+      ...this.config,
+      ...newConfig,
+      wind: { ...this.config.wind, ...newConfig.wind },
+    };
+  }
+
+  /**
+   * @param {object} wind - Any of direction (THREE.Vector3), strength, turbulence and
+   *   frequency; see config.wind.
+   */
+  setWind(wind) {
+    this.setConfig({ wind });
+  }
+
+  /**
+   * Finds a chain by name.
+   * @param {string} chainName - A name from `chains`.
+   * @returns {?{name: string, joints: VRMSpringBoneJoint[]}}
+   */
+  getChain(chainName) {
+    const chain = this.chains.find(({ name }) => name === chainName);
+    if (!chain)
+      console.warn(`SpringBoneController: Unknown chain "${chainName}"`);
+    return chain ?? null;
+  }
+
+  /**
+   * Sets the settings of every joint in a chain.
+   * @param {string} chainName - A name from `chains`.
+   * @param {object} settings - Any of stiffness, dragForce, gravityPower, gravityDir
+   *   (THREE.Vector3) and hitRadius.
+   */
+  setChainSettings(chainName, settings) {
+    const chain = this.getChain(chainName);
+    if (!chain) return;
+    const { gravityPower, gravityDir, ...rest } = settings;
+    for (const joint of chain.joints) {
+      Object.assign(joint.settings, rest);
+      const gravity = this.baseGravity.get(joint);
+      if (gravityPower !== undefined) gravity.power = gravityPower;
+      if (gravityDir) gravity.direction.copy(gravityDir).normalize();
+      this.applyGravity(joint, null);
+    }
+  }
+
+  /**
+   * A chain's settings, as shown for the whole chain: those of its first joint.
+   * @param {string} chainName - A name from `chains`.
+   * @returns {?object} stiffness, dragForce, gravityPower, gravityDir and hitRadius.
+   */
+  getChainSettings(chainName) {
+    const joint = this.getChain(chainName)?.joints[0];
+    if (!joint) return null;
+    const gravity = this.baseGravity.get(joint);
+    return {
+      stiffness: joint.settings.stiffness,
+      dragForce: joint.settings.dragForce,
+      gravityPower: gravity.power,
+      gravityDir: gravity.direction.clone(),
+      hitRadius: joint.settings.hitRadius,
+    };
+  }
+
+  /**
+   * Sets the radius of every collider in a collider group.
+   * @param {number} index - The group's index in `colliderGroups`.
+   * @param {number} radius - In metres.
+   */
+  setColliderGroupRadius(index, radius) {
+    const entry = this.colliderGroups[index];
+    if (!entry) {
+      console.warn(`SpringBoneController: Unknown collider group ${index}`);
+      return;
+    }
+    for (const collider of entry.group.colliders) {
+      collider.shape.radius = radius;
+    }
+  }
+
+  /**
+   * Shows or hides the colliders the spring bones bounce off.
+   * @param {boolean} visible
+   */
+  setCollidersVisible(visible) {
+    this.colliderHelpers = this.setHelpersVisible(
+      this.colliderHelpers,
+      visible,
+      this.manager?.colliders ?? [],
+      (collider) => new VRMSpringBoneColliderHelper(collider)
+    );
+  }
+
+  /**
+   * Shows or hides the spring bone joints and their hit radii.
+   * @param {boolean} visible
+   */
+  setJointsVisible(visible) {
+    this.jointHelpers = this.setHelpersVisible(
+      this.jointHelpers,
+      visible,
+      this.manager?.joints ?? [],
+      (joint) => new VRMSpringBoneJointHelper(joint)
+    );
+  }
+
+  /**
+   * Puts every joint back at rest, e.g. after big changes that sent hair flying.
+   */
+  reset() {
+    this.manager?.reset();
+  }
+
+  /**
+   * The tuned settings as JSON (see serializeSpringBones). Without the wind.
+   * @returns {?object}
+   */
+  exportJSON() {
+    if (!this.manager) return null;
+    return this.withoutWind(() => serializeSpringBones(this.manager));
+  }
+
+  /**
+   * The VRM file the model was loaded from, with the tuned settings written into it.
+   * Without the wind.
+   * @returns {?ArrayBuffer} The .vrm file contents, or null if there's nothing to export.
+   */
+  exportVRM() {
+    if (!this.manager) return null;
+    if (!this.parser) {
+      console.warn(
+        "SpringBoneController: The VRM's parser is needed to export it"
+      );
+      return null;
+    }
+    return this.withoutWind(() =>
+      exportSpringBonesToVRM(this.parser, this.manager)
+    );
+  }
+
+  /**
+   * Applies the wind. Call before vrm.update.
+   * @param {number} deltaTime - Seconds since the last update.
+   */
+  update(deltaTime) {
+    if (!this.manager) return;
+    this.time += deltaTime;
+    const { strength } = this.config.wind;
+    if (strength === 0 && !this.windApplied) return;
+
+    this.chains.forEach((chain, i) => {
+      // Each chain gets its own gusts, so strands don't all sway in step
+      const gust = strength * this.getGust(i * 1.7);
+      _wind.copy(this.config.wind.direction).normalize().multiplyScalar(gust);
+      for (const joint of chain.joints) this.applyGravity(joint, _wind);
+    });
+    // Once more after the wind drops, to put the gravity back
+    this.windApplied = strength !== 0;
+  }
+
+  /**
+   * Removes the helpers. Call before switching models.
+   */
+  dispose() {
+    this.setCollidersVisible(false);
+    this.setJointsVisible(false);
+  }
+
+  // A joint's gravity becomes its own plus the wind (null for none)
+  applyGravity(joint, wind) {
+    const { power, direction } = this.baseGravity.get(joint);
+    _gravity.copy(direction).multiplyScalar(power);
+    if (wind) _gravity.add(wind);
+    const length = _gravity.length();
+    joint.settings.gravityPower = length;
+    if (length > 1e-6)
+      joint.settings.gravityDir.copy(_gravity).divideScalar(length);
+    else joint.settings.gravityDir.copy(direction);
+  }
+
+  // Wind strength multiplier: 1 on average, varying by the turbulence
+  getGust(phase) {
+    const { turbulence, frequency } = this.config.wind;
+    const t = this.time * frequency * Math.PI * 2 + phase;
+    const noise =
+      0.5 * Math.sin(t) +
+      0.3 * Math.sin(t * 2.3 + 1.1) +
+      0.2 * Math.sin(t * 5.7 + 2.3);
+    return Math.max(0, 1 + turbulence * noise);
+  }
+
+  // Runs `fn` with the joints' own gravity in place of the wind-blown one
+  withoutWind(fn) {
+    const blown = [...this.baseGravity.keys()].map((joint) => [
+      joint,
+      joint.settings.gravityPower,
+      joint.settings.gravityDir.clone(),
+    ]);
+    for (const joint of this.baseGravity.keys()) this.applyGravity(joint, null);
+    try {
+      return fn();
+    } finally {
+      for (const [joint, power, direction] of blown) {
+        joint.settings.gravityPower = power;
+        joint.settings.gravityDir.copy(direction);
+      }
+    }
+  }
+
+  // Adds or removes one helper per item
+  setHelpersVisible(helpers, visible, items, createHelper) {
+    if (visible && helpers.length === 0) {
+      return [...items].map((item) => {
+        const helper = createHelper(item);
+        this.scene.add(helper);
+        return helper;
+      });
+    }
+    if (!visible) {
+      for (const helper of helpers) {
+        this.scene.remove(helper);
+        helper.dispose();
+      }
+      return [];
+    }
+    return helpers;
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * The default animation state machine graph. Plain JSON so it can live in a file
+ * and be edited by hand; clip names refer to keys of `animationFiles` in main.js.
+ * See AnimationStateMachine for the format.
+ */
+export const defaultAnimationGraph = {
+  initialState: "idle",
+  parameters: {
+    isTalking: { type: "bool", default: false },
+    isSad: { type: "bool", default: false },
+    greet: { type: "trigger" },
+    acknowledge: { type: "trigger" },
+  },
+  states: {
+    idle: { clip: "idle", loop: true },
+    talking: { clip: "talking", loop: true },
+    sad: { clip: "sad", loop: true },
+    greet: { clip: "bow", loop: false },
+    acknowledge: { clip: "acknowledging", loop: false },
+  },
+  transitions: [
+    // One-shot gestures can interrupt anything.
+    {
+      from: "*",
+      to: "greet",
+      conditions: [{ type: "trigger", name: "greet" }],
+      fadeDuration: 0.3,
+    },
+    {
+      from: "*",
+      to: "acknowledge",
+      conditions: [{ type: "trigger", name: "acknowledge" }],
+      fadeDuration: 0.3,
+    },
+
+    // Leave gestures slightly before the end so the fade overlaps the clip.
+    {
+      from: "greet",
+      to: "talking",
+      conditions: [{ type: "parameter", name: "isTalking", op: "==", value: true }],
+      exitTime: 0.85,
+      fadeDuration: 0.5,
+    },
+    { from: "greet", to: "idle", exitTime: 0.85, fadeDuration: 0.5 },
+    {
+      from: "acknowledge",
+      to: "talking",
+      conditions: [{ type: "parameter", name: "isTalking", op: "==", value: true }],
+      exitTime: 0.85,
+      fadeDuration: 0.5,
+    },
+    { from: "acknowledge", to: "idle", exitTime: 0.85, fadeDuration: 0.5 },
+
+    // Looping states.
+    {
+      from: "idle",
+      to: "talking",
+      conditions: [{ type: "parameter", name: "isTalking", op: "==", value: true }],
+      fadeDuration: 0.4,
+    },
+    {
+      from: "talking",
+      to: "idle",
+      conditions: [{ type: "parameter", name: "isTalking", op: "==", value: false }],
+      fadeDuration: 0.4,
+    },
+    {
+      from: "idle",
+      to: "sad",
+      conditions: [{ type: "parameter", name: "isSad", op: "==", value: true }],
+      fadeDuration: 0.8,
+    },
+    {
+      from: "sad",
+      to: "idle",
+      conditions: [{ type: "parameter", name: "isSad", op: "==", value: false }],
+      fadeDuration: 0.8,
+    },
+  ],
+};
@@ -10,6 +10,14 @@ const gltfLoader = new GLTFLoader();
  */
 export const availableEnvironments = ["Holodeck", "Cafe", "None"];
 
+/**
+ * The environment currently in the scene, e.g. for FootGrounding to stand on.
+ * @returns {THREE.Object3D|null} The environment's root object, or null if there is none.
+ */
+export function getCurrentEnvironment() {
+  return currentEnvObject;
+}
+
 /**
  * Creates the holodeck grid environment.
  * @returns {THREE.Group} A group containing all the grid lines.
@@ -109,7 +117,8 @@ export function loadEnvironment(name, scene) {
           // Math.PI / 4 is 45 degrees in radians.
           currentEnvObject.rotation.y = Math.PI / 4;
           currentEnvObject.scale.set(1.4, 1.4, 1.4);
-          currentEnvObject.position.set(-0.3, -0.23, 0.3);
+          // Only placed sideways; FootGrounding finds the floor's height.
+          currentEnvObject.position.set(-0.3, 0, 0.3);
 
           scene.add(currentEnvObject);
           console.log("Cafe environment loaded.");
@@ -0,0 +1,15 @@
+/**
+ * The default expression override rules, for models that don't define any (VRM 0.x
+ * models never do). Plain JSON; keys are expression names, values set the VRM 1.0
+ * `overrideBlink`, `overrideLookAt` and `overrideMouth` of that expression to
+ * "none", "block" or "blend". See utils/expressionOverrides.js.
+ */
+export const defaultExpressionOverrides = {
+  // Eye-closing smiles: no blinking through them, and no gaze behind closed lids.
+  happy: { overrideBlink: "blend", overrideLookAt: "blend" },
+  relaxed: { overrideBlink: "blend", overrideLookAt: "blend" },
+  angry: { overrideBlink: "blend" },
+  sad: { overrideBlink: "blend" },
+  // A wide-open mouth that visemes would fight with.
+  surprised: { overrideBlink: "blend", overrideMouth: "blend" },
+};
@@ -0,0 +1,81 @@
+/**
+ * The default expression sequence presets. Plain JSON; keys are preset names and
+ * track names are VRM expression names. See ExpressionSequence for the format.
+ * More can be added with ExpressionController.loadPresets.
+ */
+export const defaultExpressionPresets = {
+  surprise: {
+    tracks: {
+      surprised: [
+        { time: 0, value: 0 },
+        { time: 0.15, value: 1, easing: "easeOutBack" },
+        { time: 1.1, value: 0.8 },
+        { time: 1.6, value: 0, easing: "easeInOutSine" },
+      ],
+      // Holds the eyes open: no blinks while surprised.
+      blink: [
+        { time: 0, value: 0 },
+        { time: 1.6, value: 0 },
+      ],
+    },
+  },
+  wink: {
+    tracks: {
+      blinkLeft: [
+        { time: 0, value: 0 },
+        { time: 0.1, value: 1, easing: "easeOutQuad" },
+        { time: 0.35, value: 1 },
+        { time: 0.5, value: 0, easing: "easeInQuad" },
+      ],
+      happy: [
+        { time: 0, value: 0 },
+        { time: 0.15, value: 0.4, easing: "easeOutSine" },
+        { time: 0.6, value: 0.4 },
+        { time: 0.9, value: 0, easing: "easeInOutSine" },
+      ],
+    },
+  },
+  // VRM has no one-sided smile, so a half-closed eye sells the asymmetry.
+  smirk: {
+    tracks: {
+      happy: [
+        { time: 0, value: 0 },
+        { time: 0.3, value: 0.35, easing: "easeOutCubic" },
+        { time: 1.8, value: 0.35 },
+        { time: 2.3, value: 0, easing: "easeInOutSine" },
+      ],
+      relaxed: [
+        { time: 0, value: 0 },
+        { time: 0.3, value: 0.3, easing: "easeOutCubic" },
+        { time: 1.8, value: 0.3 },
+        { time: 2.3, value: 0, easing: "easeInOutSine" },
+      ],
+      blinkRight: [
+        { time: 0, value: 0 },
+        { time: 0.3, value: 0.3, easing: "easeOutCubic" },
+        { time: 1.8, value: 0.3 },
+        { time: 2.3, value: 0, easing: "easeInOutSine" },
+      ],
+    },
+  },
+  // Heavy eyelids that droop, catch themselves, and droop further.
+  sleepy: {
+    tracks: {
+      blink: [
+        { time: 0, value: 0 },
+        { time: 0.8, value: 0.5, easing: "easeInOutSine" },
+        { time: 1.4, value: 0.75, easing: "easeInSine" },
+        { time: 1.6, value: 0.3, easing: "easeOutQuad" },
+        { time: 2.6, value: 0.85, easing: "easeInOutSine" },
+        { time: 2.8, value: 0.4, easing: "easeOutQuad" },
+        { time: 3.6, value: 0, easing: "easeInOutSine" },
+      ],
+      relaxed: [
+        { time: 0, value: 0 },
+        { time: 0.8, value: 0.5, easing: "easeInOutSine" },
+        { time: 2.8, value: 0.5 },
+        { time: 3.6, value: 0, easing: "easeInOutSine" },
+      ],
+    },
+  },
+};
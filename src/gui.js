@@ -1,3 +1,4 @@
+import * as THREE from "three";
 import GUI from "three/examples/jsm/libs/lil-gui.module.min.js";
 
 /**
@@ -7,6 +8,10 @@ import GUI from "three/examples/jsm/libs/lil-gui.module.min.js";
  * @param {ArmSpaceController} armSpaceController - The controller for arm spacing.
  * @param {ExpressionController} expressionController - The controller for facial expressions.
  * @param {LookAtController} lookAtController - The controller for camera look-at behavior.
+ * @param {IKController} ikController - The controller for hand and foot IK.
+ * @param {FootGrounding} footGrounding - Stands the feet on the environment's floor.
+ * @param {SecondaryMotion} secondaryMotion - Breathing, sway and weight shifts.
+ * @param {SpringBoneController} springBoneController - Tunes the hair and cloth spring bones.
  * @param {string[]} availableEnvironments - An array of environment names.
  * @param {function} loadEnvironmentCallback - A callback to load an environment by name.
  * @returns {GUI} The configured lil-gui instance.
@@ -17,6 +22,10 @@ export function setupMainGUI(
   armSpaceController,
   expressionController,
   lookAtController,
+  ikController,
+  footGrounding,
+  secondaryMotion,
+  springBoneController,
   availableEnvironments,
   loadEnvironmentCallback
 ) {
@@ -42,17 +51,42 @@ export function setupMainGUI(
     .name("Stop Loop");
   loopFolder.close();
 
+  // --- State Machine Folder ---
+  const stateMachine = animationController.stateMachine;
+  if (stateMachine) {
+    const smFolder = gui.addFolder("State Machine");
+    smFolder
+      .add({ start: () => animationController.startStateMachine() }, "start")
+      .name("Start");
+    smFolder
+      .add({ stop: () => animationController.stopStateMachine() }, "stop")
+      .name("Stop");
+    // One control per graph parameter: checkboxes for bools, buttons for triggers.
+    const paramValues = Object.fromEntries(stateMachine.parameters);
+    Object.entries(stateMachine.graph.parameters || {}).forEach(([name, def]) => {
+      if (def.type === "trigger") {
+        smFolder.add({ [name]: () => animationController.setTrigger(name) }, name);
+      } else {
+        smFolder.add(paramValues, name).onChange((value) => {
+          animationController.setParameter(name, value);
+        });
+      }
+    });
+    smFolder.close();
+  }
+
   // --- General Controls ---
   gui
     .add(params, "timeScale", 0.0, 2.0, 0.001)
     .name("Time Scale")
     .onChange((value) => {
       if (animationController) animationController.mixer.timeScale = value;
+      if (expressionController) expressionController.clock.setTimeScale(value);
     });
 
   gui
     .add(params, "armSpace", -1.0, 3.0, 0.01)
-    .name("Arm Space")
+    .name("Arm Clearance (cm)")
     .onChange((value) => {
       if (armSpaceController) {
         armSpaceController.setArmSpace(value);
@@ -63,15 +97,58 @@ export function setupMainGUI(
   const animFolder = gui.addFolder("Animations");
   // Get animation names directly from the controller's config
   Object.keys(animationController.animationFiles).forEach((animName) => {
+    const loop = !animationController.oneShotAnimations.includes(animName);
     animFolder.add(
-      { [animName]: () => animationController.playAnimation(animName, true) },
+      { [animName]: () => animationController.playAnimation(animName, loop) },
       animName
     );
   });
+  // Download the current animation, retargeted onto this model, as a .vrma file.
+  animFolder
+    .add(
+      {
+        export: () => {
+          const name = animationController.currentActionName;
+          const glb = name && animationController.exportAnimation(name);
+          if (glb) download(glb, "model/gltf-binary", `${name}.vrma`);
+        },
+      },
+      "export"
+    )
+    .name("Export Current (.vrma)");
+  animFolder
+    .add({ reset: () => animationController.resetRootMotion() }, "reset")
+    .name("Reset Position");
   animFolder.close();
 
+  // --- Layers Folder ---
+  const layersFolder = gui.addFolder("Layers");
+  const animNames = Object.keys(animationController.animationFiles);
+  animationController.layers.forEach((layer, layerName) => {
+    const layerFolder = layersFolder.addFolder(layerName);
+    const layerConfig = { clip: animNames[0], weight: layer.weight };
+    layerFolder.add(layerConfig, "clip", animNames).name("Clip");
+    layerFolder
+      .add(layerConfig, "weight", 0.0, 1.0, 0.01)
+      .name("Weight")
+      .onChange((value) => layer.setWeight(value));
+    layerFolder
+      .add({ play: () => layer.play(layerConfig.clip) }, "play")
+      .name("Play");
+    layerFolder.add({ stop: () => layer.stop() }, "stop").name("Stop");
+  });
+  layersFolder.close();
+
   // --- Expressions Folder ---
   const expressionFolder = gui.addFolder("Expressions");
+  expressionFolder
+    .add(params, "expressionsPaused")
+    .name("Pause")
+    .onChange((paused) => {
+      if (!expressionController) return;
+      if (paused) expressionController.clock.pause();
+      else expressionController.clock.resume();
+    });
   const blinkFolder = expressionFolder.addFolder("Blinking");
   const blinkConfig = { blinkInterval: 10.0, doubleBlinkChance: 0.1 };
   blinkFolder.add(blinkConfig, "blinkInterval", 1, 30).onChange((value) => {
@@ -93,20 +170,202 @@ export function setupMainGUI(
     });
   blinkFolder.close();
   const emotionFolder = expressionFolder.addFolder("Emotions");
+  // With "Blend" on, an emotion is added to the ones showing instead of replacing them.
+  const emotionConfig = { blend: false, weight: 1.0 };
+  emotionFolder.add(emotionConfig, "blend").name("Blend");
+  emotionFolder.add(emotionConfig, "weight", 0.0, 1.0, 0.01).name("Weight");
   const emotions = ["happy", "angry", "sad", "relaxed", "surprised", "neutral"];
   emotions.forEach((emotion) => {
     emotionFolder.add(
       {
         [emotion]: () => {
           if (expressionController) {
-            expressionController.emotionController.setEmotion(emotion, 1.0);
+            expressionController.emotionController.setEmotion(
+              emotion,
+              emotionConfig.weight,
+              { exclusive: !emotionConfig.blend }
+            );
           }
         },
       },
       emotion
     );
   });
+  emotionFolder
+    .add(
+      { clear: () => expressionController?.emotionController.clearEmotion() },
+      "clear"
+    )
+    .name("Clear");
   emotionFolder.close();
+  const sequenceFolder = expressionFolder.addFolder("Sequences");
+  const presetNames = expressionController
+    ? [...expressionController.presets.keys()]
+    : [];
+  presetNames.forEach((preset) => {
+    sequenceFolder.add(
+      { [preset]: () => expressionController.playSequence(preset) },
+      preset
+    );
+  });
+  sequenceFolder
+    .add(
+      {
+        openPresets: () => {
+          const input = document.createElement("input");
+          input.type = "file";
+          input.accept = ".json";
+          input.onchange = async () => {
+            const file = input.files[0];
+            if (!file || !expressionController) return;
+            try {
+              const names = expressionController.addPresets(
+                JSON.parse(await file.text())
+              );
+              names
+                .filter((name) => !presetNames.includes(name))
+                .forEach((name) => {
+                  presetNames.push(name);
+                  sequenceFolder.add(
+                    { [name]: () => expressionController.playSequence(name) },
+                    name
+                  );
+                });
+            } catch (error) {
+              console.error("Sequences: Could not load presets:", error);
+            }
+          };
+          input.click();
+        },
+      },
+      "openPresets"
+    )
+    .name("Load Presets (JSON)...");
+  sequenceFolder
+    .add({ stop: () => expressionController?.stopSequence() }, "stop")
+    .name("Stop");
+  sequenceFolder.close();
+  const lipSyncFolder = expressionFolder.addFolder("Lip Sync");
+  const lipSync = expressionController?.lipSyncController;
+  lipSyncFolder
+    .add(
+      {
+        openFile: () => {
+          const input = document.createElement("input");
+          input.type = "file";
+          input.accept = "audio/*";
+          input.onchange = async () => {
+            const file = input.files[0];
+            if (!file || !lipSync) return;
+            try {
+              lipSync.playBuffer(await lipSync.loadAudio(file));
+            } catch (error) {
+              console.error("Lip Sync: Could not play audio file:", error);
+            }
+          };
+          input.click();
+        },
+      },
+      "openFile"
+    )
+    .name("Play Audio File...");
+  lipSyncFolder
+    .add(
+      {
+        microphone: async () => {
+          if (!lipSync) return;
+          try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+              audio: true,
+            });
+            lipSync.connectStream(stream);
+          } catch (error) {
+            console.error("Lip Sync: Could not open the microphone:", error);
+          }
+        },
+      },
+      "microphone"
+    )
+    .name("Use Microphone");
+  // Phoneme timings (JSON) with the matching audio file, selected together.
+  lipSyncFolder
+    .add(
+      {
+        openPhonemes: () => {
+          const input = document.createElement("input");
+          input.type = "file";
+          input.accept = ".json,audio/*";
+          input.multiple = true;
+          input.onchange = async () => {
+            const files = [...input.files];
+            const json = files.find((file) => file.name.endsWith(".json"));
+            const audioFile = files.find((file) => file.type.startsWith("audio/"));
+            if (!json || !expressionController) return;
+            let clock;
+            try {
+              const timeline = JSON.parse(await json.text());
+              if (audioFile) {
+                clock = new Audio(URL.createObjectURL(audioFile));
+                await clock.play();
+              }
+              const player = expressionController.playPhonemes(timeline, {
+                clock,
+              });
+              if (clock) {
+                // Release the file once the audio ends or is stopped (stopping pauses it)
+                const release = () => {
+                  if (!clock.ended && !player.stopped) return;
+                  URL.revokeObjectURL(clock.src);
+                  clock.removeEventListener("ended", release);
+                  clock.removeEventListener("pause", release);
+                };
+                clock.addEventListener("ended", release);
+                clock.addEventListener("pause", release);
+              }
+            } catch (error) {
+              console.error("Lip Sync: Could not play phoneme timeline:", error);
+              if (clock) {
+                clock.pause();
+                URL.revokeObjectURL(clock.src);
+              }
+            }
+          };
+          input.click();
+        },
+      },
+      "openPhonemes"
+    )
+    .name("Play Phonemes (JSON + audio)...");
+  lipSyncFolder
+    .add(
+      {
+        pause: () => {
+          const player = expressionController?.phonemePlayer;
+          if (!player) return;
+          if (player.paused) player.resume();
+          else player.pause();
+        },
+      },
+      "pause"
+    )
+    .name("Pause / Resume Phonemes");
+  lipSyncFolder
+    .add(
+      {
+        stop: () => {
+          lipSync?.stop();
+          expressionController?.stopPhonemes();
+        },
+      },
+      "stop"
+    )
+    .name("Stop");
+  lipSyncFolder
+    .add(params, "lipSyncGain", 0.0, 3.0, 0.01)
+    .name("Gain")
+    .onChange((value) => lipSync?.setConfig({ gain: value }));
+  lipSyncFolder.add(params, "lipSyncGestures").name("Talking Gestures");
+  lipSyncFolder.close();
   expressionFolder.close();
 
   // --- Look At Folder ---
@@ -135,7 +394,168 @@ export function setupMainGUI(
     .onChange((value) => {
       if (lookAtController) lookAtController.setSmoothing(value);
     });
+  lookAtFolder
+    .add(params, "lookAtVerticalOffset", -0.5, 0.5, 0.01)
+    .name("Vertical Offset")
+    .onChange((value) => {
+      if (lookAtController) lookAtController.setVerticalOffset(value);
+    });
+  lookAtFolder
+    .add(params, "eyeMovement")
+    .name("Eye Movement")
+    .onChange((value) => {
+      if (lookAtController) lookAtController.setEyeMovementEnabled(value);
+    });
   lookAtFolder.close();
 
+  // --- IK Folder ---
+  const ikFolder = gui.addFolder("IK");
+  ikFolder
+    .add(params, "reachForPointer")
+    .name("Reach for Pointer")
+    .onChange((value) => {
+      if (ikController) ikController.setWeight("rightArm", value ? 1 : 0, 0.4);
+    });
+  ikFolder
+    .add(params, "footGrounding")
+    .name("Foot Grounding")
+    .onChange((value) => {
+      if (footGrounding) footGrounding.setEnabled(value);
+    });
+  ikFolder.close();
+
+  // --- Body Motion Folder ---
+  const bodyMotionFolder = gui.addFolder("Body Motion");
+  bodyMotionFolder
+    .add(params, "secondaryMotion")
+    .name("Breathing & Weight Shift")
+    .onChange((value) => {
+      if (secondaryMotion) secondaryMotion.setEnabled(value);
+    });
+  bodyMotionFolder
+    .add(params, "energy", 0.0, 1.0, 0.01)
+    .name("Energy")
+    .onChange((value) => {
+      if (secondaryMotion) secondaryMotion.setEnergy(value);
+    });
+  bodyMotionFolder.close();
+
+  // --- Spring Bones Folder ---
+  const springFolder = gui.addFolder("Spring Bones");
+  springFolder
+    .add(params, "showColliders")
+    .name("Show Colliders")
+    .onChange((value) => springBoneController?.setCollidersVisible(value));
+  springFolder
+    .add(params, "showJoints")
+    .name("Show Joints")
+    .onChange((value) => springBoneController?.setJointsVisible(value));
+  springFolder
+    .add({ reset: () => springBoneController?.reset() }, "reset")
+    .name("Reset Pose");
+
+  const windFolder = springFolder.addFolder("Wind");
+  const wind = springBoneController?.config.wind;
+  if (wind) {
+    // Horizontal direction as an angle, 0 blowing towards +X
+    const windValues = {
+      angle: THREE.MathUtils.radToDeg(
+        Math.atan2(-wind.direction.z, wind.direction.x)
+      ),
+    };
+    windFolder
+      .add(windValues, "angle", -180, 180, 1)
+      .name("Direction (deg)")
+      .onChange((value) => {
+        const angle = THREE.MathUtils.degToRad(value);
+        springBoneController.setWind({
+          direction: new THREE.Vector3(Math.cos(angle), 0, -Math.sin(angle)),
+        });
+      });
+    windFolder.add(wind, "strength", 0.0, 2.0, 0.01).name("Strength");
+    windFolder.add(wind, "turbulence", 0.0, 1.0, 0.01).name("Turbulence");
+    windFolder.add(wind, "frequency", 0.05, 3.0, 0.01).name("Gust Frequency");
+  }
+  windFolder.close();
+
+  // One folder per chain; the sliders set every joint in it.
+  const chainsFolder = springFolder.addFolder("Chains");
+  springBoneController?.chains.forEach(({ name, joints }) => {
+    const settings = springBoneController.getChainSettings(name);
+    const chainFolder = chainsFolder.addFolder(`${name} (${joints.length})`);
+    const set = (key) => (value) =>
+      springBoneController.setChainSettings(name, { [key]: value });
+    chainFolder
+      .add(settings, "stiffness", 0.0, 4.0, 0.01)
+      .name("Stiffness")
+      .onChange(set("stiffness"));
+    chainFolder
+      .add(settings, "dragForce", 0.0, 1.0, 0.01)
+      .name("Drag")
+      .onChange(set("dragForce"));
+    chainFolder
+      .add(settings, "gravityPower", 0.0, 2.0, 0.01)
+      .name("Gravity")
+      .onChange(set("gravityPower"));
+    chainFolder
+      .add(settings, "hitRadius", 0.0, 0.2, 0.001)
+      .name("Hit Radius")
+      .onChange(set("hitRadius"));
+    chainFolder.close();
+  });
+  chainsFolder.close();
+
+  const collidersFolder = springFolder.addFolder("Collider Groups");
+  springBoneController?.colliderGroups.forEach(({ name, group }, i) => {
+    const radius = { radius: group.colliders[0]?.shape.radius ?? 0 };
+    collidersFolder
+      .add(radius, "radius", 0.0, 0.5, 0.001)
+      .name(`${name} (${group.colliders.length})`)
+      .onChange((value) =>
+        springBoneController.setColliderGroupRadius(i, value)
+      );
+  });
+  collidersFolder.close();
+
+  // Download the tuned values: as JSON, or written into a copy of the model file.
+  springFolder
+    .add(
+      {
+        exportJSON: () => {
+          const json = springBoneController?.exportJSON();
+          if (!json) return;
+          download(
+            JSON.stringify(json, null, 2),
+            "application/json",
+            "springBones.json"
+          );
+        },
+      },
+      "exportJSON"
+    )
+    .name("Export JSON");
+  springFolder
+    .add(
+      {
+        exportVRM: () => {
+          const glb = springBoneController?.exportVRM();
+          if (glb) download(glb, "model/gltf-binary", "model.vrm");
+        },
+      },
+      "exportVRM"
+    )
+    .name("Export VRM");
+  springFolder.close();
+
   return gui;
 }
+
+// Saves data as a file through a temporary link
+function download(data, type, fileName) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
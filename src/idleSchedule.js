@@ -0,0 +1,14 @@
+/**
+ * The default idle schedule. Plain JSON; names refer to keys of `animationFiles`
+ * in main.js. See IdleScheduler for the format.
+ */
+export const defaultIdleSchedule = {
+  fadeTime: 0.5,
+  animations: [
+    { name: "idle", weight: 4, minDuration: 8, maxDuration: 20 },
+    { name: "idle_happy", weight: 2, minDuration: 5, maxDuration: 15, cooldown: 10 },
+    { name: "idle_happy2", weight: 2, minDuration: 5, maxDuration: 15, cooldown: 10 },
+    { name: "idle_bored", weight: 1, minLoops: 1, maxLoops: 1, cooldown: 30 },
+    { name: "looking", weight: 1, minLoops: 1, maxLoops: 2, cooldown: 20 },
+  ],
+};
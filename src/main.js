@@ -7,11 +7,24 @@ import { VRMLoaderPlugin, VRMUtils } from "@pixiv/three-vrm";
 
 // Import all the controllers
 import { AnimationController } from "./AnimationController.js";
+import { AnimationAssetCache } from "./AnimationAssetCache.js";
 import { ExpressionController } from "./ExpressionController.js";
+import { ExpressionClock } from "./ExpressionClock.js";
 import { ArmSpaceController } from "./ArmSpaceController.js";
+import { IKController } from "./IKController.js";
+import { FootGrounding } from "./FootGrounding.js";
+import { SecondaryMotion } from "./SecondaryMotion.js";
 import { LookAtController } from "./LookAtController.js";
+import { SpringBoneController } from "./SpringBoneController.js";
+import { defaultAnimationGraph } from "./animationGraph.js";
+import { defaultIdleSchedule } from "./idleSchedule.js";
+import { BoneMasks } from "./utils/boneMasks.js";
 
-import { loadEnvironment, availableEnvironments } from "./environment.js";
+import {
+  loadEnvironment,
+  availableEnvironments,
+  getCurrentEnvironment,
+} from "./environment.js";
 import { setupMainGUI } from "./gui.js";
 
 // renderer
@@ -54,8 +67,12 @@ const defaultModelUrl = "/miku.vrm";
 let currentVrm = undefined;
 let animationController = undefined;
 let armSpaceController = undefined;
+let ikController = undefined;
+let footGrounding = undefined;
+let secondaryMotion = undefined;
 let expressionController = undefined;
 let lookAtController = undefined;
+let springBoneController = undefined;
 let gui = undefined;
 
 // --- Parameters ---
@@ -66,25 +83,109 @@ const params = {
   eyeIntensity: 1.0,
   headIntensity: 0.3,
   lookAtSmoothing: 0.1,
+  eyeMovement: true,
+  reachForPointer: false,
+  footGrounding: true,
+  secondaryMotion: true,
+  energy: 0.4,
+  showColliders: false,
+  showJoints: false,
   lookAtVerticalOffset: 0,
+  expressionsPaused: false,
+  lipSyncGain: 1.0,
+  lipSyncGestures: true,
   environment: availableEnvironments[0],
 };
 
+// One clock for all expressions, kept across model changes; it follows params.timeScale.
+const expressionClock = new ExpressionClock({ timeScale: params.timeScale });
+
 // --- Animation Files Configuration ---
 // This can stay here as a central configuration object.
+// Files ending in .vrma are loaded as VRM Animation, .bvh as motion capture and
+// anything else as FBX. The rig of FBX and BVH files (Mixamo, Unreal, CMU, ...)
+// is detected from their bone names.
 const animationFiles = {
   idle: "/animations/idleFemale.fbx",
   idle_happy: "/animations/idle-happy.fbx",
   idle_happy2: "/animations/idle-happy2.fbx",
   idle_bored: "/animations/bored.fbx",
-  acknowledging: "/animations/acknowledging.fbx",
-  sad: "/animations/sad.fbx",
-  bow: "/animations/bow.fbx",
+  // "lookAt" limits head tracking while the clip plays, so its nods and bows show.
+  acknowledging: { url: "/animations/acknowledging.fbx", lookAt: 0.5 },
+  // Expression curves ride along with the clip and cross-fade with it.
+  sad: { url: "/animations/sad.fbx", expressions: "/animations/sad.expressions.json" },
+  bow: { url: "/animations/bow.fbx", lookAt: 0 },
   looking: "/animations/idle-looking.fbx",
+  talking: "/animations/talking.fbx",
+  victory: "/animations/victory.fbx",
+  // Clip events fire at a time in the clip; "sequence" plays an expression preset.
+  yawn: {
+    url: "/animations/Yawn.fbx",
+    expressions: "/animations/Yawn.expressions.json",
+    events: [{ time: 5.0, sequence: "sleepy" }],
+  },
+  // Clips that travel: "inPlace" pins the hips, "extract" moves the whole model instead.
+  jump: { url: "/animations/Joyful Jump.fbx", rootMotion: "inPlace" },
+  spin: { url: "/animations/Northern Soul Spin Combo.fbx", rootMotion: "extract" },
 };
 
 // The old animation functions (loadAllAnimations, playAnimation) have been removed.
 
+// Expression override rules by model url (see utils/expressionOverrides.js). Models not
+// listed keep their own rules, or get defaultExpressionOverrides if they have none.
+const modelExpressionOverrides = {};
+
+// Parsed animation files are kept across model changes; only the retarget is redone.
+const animationAssetCache = new AnimationAssetCache({ concurrency: 4 });
+
+// Plays the talking animation while lip-synced audio is speaking. With the state
+// machine running this goes through its isTalking parameter; otherwise the talking
+// clip replaces the idle loop, which resumes once the speech ends.
+function pairLipSyncWithTalking(lipSyncController) {
+  lipSyncController.addEventListener("speakingstart", () => {
+    if (!params.lipSyncGestures || !animationController) return;
+    if (animationController.stateMachine?.active) {
+      animationController.setParameter("isTalking", true);
+    } else {
+      animationController.playAnimation("talking", true);
+    }
+  });
+  lipSyncController.addEventListener("speakingend", () => {
+    if (!animationController) return;
+    if (animationController.stateMachine?.active) {
+      animationController.setParameter("isTalking", false);
+    } else if (animationController.currentActionName === "talking") {
+      animationController.startIdleLoop();
+    }
+  });
+}
+
+// --- Pointer ---
+// The scene point under the pointer, raycast at most once per frame after it moves.
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const pointerHit = { point: new THREE.Vector3(), valid: false, moved: false };
+renderer.domElement.addEventListener("pointermove", (event) => {
+  pointer.set(
+    (event.clientX / window.innerWidth) * 2 - 1,
+    -(event.clientY / window.innerHeight) * 2 + 1
+  );
+  pointerHit.moved = true;
+});
+
+function updatePointerHit() {
+  if (!pointerHit.moved) return;
+  pointerHit.moved = false;
+  raycaster.setFromCamera(pointer, camera);
+  const objects = scene.children.filter((object) => object !== currentVrm?.scene);
+  const hit = raycaster.intersectObjects(objects, true)[0];
+  pointerHit.valid = Boolean(hit);
+  if (hit) {
+    pointerHit.point.copy(hit.point);
+    if (lookAtController) lookAtController.pokeTarget("pointer");
+  }
+}
+
 function loadVRM(modelUrl) {
   const loader = new GLTFLoader();
   loader.crossOrigin = "anonymous";
@@ -104,6 +205,7 @@ function loadVRM(modelUrl) {
         scene.remove(currentVrm.scene);
         VRMUtils.deepDispose(currentVrm.scene);
       }
+      if (springBoneController) springBoneController.dispose();
       if (gui) {
         gui.destroy();
       }
@@ -116,10 +218,82 @@ function loadVRM(modelUrl) {
       VRMUtils.rotateVRM0(vrm);
 
       // --- Initialize ALL controllers ---
-      animationController = new AnimationController(currentVrm, animationFiles);
-      expressionController = new ExpressionController(currentVrm);
+      animationController = new AnimationController(
+        currentVrm,
+        animationFiles,
+        defaultIdleSchedule,
+        animationAssetCache
+      );
+      animationController.mixer.addEventListener("clipevent", ({ event }) => {
+        if (event.sequence) expressionController?.playSequence(event.sequence);
+      });
+      animationController.loadStateMachine(defaultAnimationGraph);
+      animationController.addLayer("upperBody", { mask: BoneMasks.upperBody });
+      animationController.addLayer("overlay", {
+        mask: BoneMasks.upperBody,
+        blendMode: "additive",
+        weight: 0.5,
+      });
+      if (expressionController) {
+        expressionController.lipSyncController.stop();
+        expressionController.stopPhonemes();
+      }
+      expressionController = new ExpressionController(currentVrm, {
+        clock: expressionClock,
+        overrides: modelExpressionOverrides[modelUrl],
+      });
+      expressionController.lipSyncController.setConfig({ gain: params.lipSyncGain });
+      pairLipSyncWithTalking(expressionController.lipSyncController);
+      // Breathing, sway and weight shifts, livelier with excited emotions.
+      secondaryMotion = new SecondaryMotion(currentVrm, {
+        emotionController: expressionController.emotionController,
+      });
+      secondaryMotion.setEnabled(params.secondaryMotion);
+      secondaryMotion.setEnergy(params.energy);
+      animationController.trackPose(secondaryMotion.getBones());
       armSpaceController = new ArmSpaceController(currentVrm, params.armSpace);
+      animationController.trackPose(armSpaceController.getArmBones());
+      ikController = new IKController(currentVrm);
+      animationController.trackPose(ikController.getBones());
+      // The right hand reaches for what the pointer is over while "Reach for Pointer" is on.
+      ikController.setTarget(
+        "rightArm",
+        () => (pointerHit.valid ? pointerHit.point : null),
+        { weight: params.reachForPointer ? 1 : 0, fadeTime: 0 }
+      );
+      // Feet stand on whatever environment is loaded; created while the model is in its rest pose.
+      footGrounding = new FootGrounding(
+        currentVrm,
+        ikController,
+        getCurrentEnvironment
+      );
+      footGrounding.setEnabled(params.footGrounding, 0);
       lookAtController = new LookAtController(currentVrm, camera);
+      lookAtController.setEyeMovementEnabled(params.eyeMovement);
+      lookAtController.setVerticalOffset(params.lookAtVerticalOffset);
+      // Look-at turns these bones on top of the animation; keep their animated pose.
+      animationController.trackPose(lookAtController.getBodyChainBones());
+      // Glance at what the pointer is over, losing interest a couple of seconds after it stops.
+      lookAtController.addTarget("pointer", () => (pointerHit.valid ? pointerHit.point : null), {
+        priority: 1,
+        interest: 0,
+        decay: 0.5,
+        maxDistance: 8,
+        maxAngle: 80,
+      });
+      // Large gaze shifts tend to come with a blink.
+      lookAtController.eyeMovement.addEventListener("saccade", ({ amplitude }) =>
+        expressionController?.blinkController.onGazeShift(amplitude)
+      );
+
+      // The parser holds the file's contents, for exporting tuned spring bones.
+      springBoneController = new SpringBoneController(
+        currentVrm,
+        scene,
+        gltf.parser
+      );
+      springBoneController.setCollidersVisible(params.showColliders);
+      springBoneController.setJointsVisible(params.showJoints);
 
       // --- Load the default environment ---
       loadEnvironment(params.environment, scene);
@@ -131,13 +305,23 @@ function loadVRM(modelUrl) {
         armSpaceController,
         expressionController,
         lookAtController,
+        ikController,
+        footGrounding,
+        secondaryMotion,
+        springBoneController,
         availableEnvironments,
         (envName) => loadEnvironment(envName, scene)
       );
 
       // --- Load animations using the controller ---
       // We await this to ensure animations are ready before enabling other controllers.
-      await animationController.loadAllAnimations();
+      await animationController.loadAllAnimations((progress) =>
+        console.log(
+          `Loading animations... ${progress.loaded}/${progress.total}`,
+          (100.0 * progress.progress).toFixed(0),
+          "%"
+        )
+      );
 
       if (armSpaceController) {
         // This delay is still useful to prevent the arm-snap on the first frame.
@@ -160,16 +344,29 @@ const clock = new THREE.Clock();
 function animate() {
   requestAnimationFrame(animate);
   const deltaTime = clock.getDelta();
-  const currentTime = clock.elapsedTime;
 
   // Update all controllers that need it
   if (animationController) animationController.update(deltaTime);
 
   if (currentVrm) {
     if (expressionController)
-      expressionController.update(currentTime, deltaTime);
+      expressionController.update(deltaTime);
+    updatePointerHit();
+    // On the animated pose, before anything that aims or plants the body
+    if (secondaryMotion) secondaryMotion.update(deltaTime);
+    if (lookAtController) {
+      lookAtController.setAnimationWeight(
+        animationController?.getLookAtWeight() ?? 1
+      );
+      lookAtController.update(deltaTime);
+    }
+    // After look-at, which turns the torso the arms are tested against
     if (armSpaceController) armSpaceController.update();
-    if (lookAtController) lookAtController.update(deltaTime);
+    // Last, so hands and feet end up exactly on their targets
+    if (footGrounding) footGrounding.update(deltaTime);
+    if (ikController) ikController.update(deltaTime);
+    // Wind, before the spring bones are simulated in vrm.update
+    if (springBoneController) springBoneController.update(deltaTime);
     currentVrm.update(deltaTime);
   }
   renderer.render(scene, camera);
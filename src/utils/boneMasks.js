@@ -0,0 +1,86 @@
+import * as THREE from "three";
+
+const fingerBones = (side) =>
+  ["Thumb", "Index", "Middle", "Ring", "Little"].flatMap((finger) =>
+    (finger === "Thumb"
+      ? ["Metacarpal", "Proximal", "Distal"]
+      : ["Proximal", "Intermediate", "Distal"]
+    ).map((segment) => `${side}${finger}${segment}`)
+  );
+
+const armBones = (side) => [
+  `${side}Shoulder`,
+  `${side}UpperArm`,
+  `${side}LowerArm`,
+  `${side}Hand`,
+  ...fingerBones(side),
+];
+
+const legBones = (side) => [
+  `${side}UpperLeg`,
+  `${side}LowerLeg`,
+  `${side}Foot`,
+  `${side}Toes`,
+];
+
+/**
+ * Preset bone masks, as lists of VRM humanoid bone names.
+ */
+export const BoneMasks = {
+  leftArm: armBones("left"),
+  rightArm: armBones("right"),
+  arms: [...armBones("left"), ...armBones("right")],
+  head: ["neck", "head"],
+  upperBody: [
+    "spine",
+    "chest",
+    "upperChest",
+    "neck",
+    "head",
+    ...armBones("left"),
+    ...armBones("right"),
+  ],
+  lowerBody: ["hips", ...legBones("left"), ...legBones("right")],
+};
+
+// Every humanoid bone: the mask of a layer that doesn't give one
+BoneMasks.fullBody = [
+  ...BoneMasks.lowerBody,
+  ...BoneMasks.upperBody,
+  "leftEye",
+  "rightEye",
+  "jaw",
+];
+
+/**
+ * Resolves a bone mask to the normalized bone nodes of a VRM.
+ * Bones the model doesn't have are skipped.
+ *
+ * @param {VRM} vrm A target VRM
+ * @param {string[]} [boneNames] VRM humanoid bone names, e.g. from BoneMasks; all of them if omitted
+ * @returns {THREE.Object3D[]} The normalized bone nodes
+ */
+export function getMaskNodes(vrm, boneNames = BoneMasks.fullBody) {
+  return boneNames
+    .map((boneName) => vrm.humanoid?.getNormalizedBoneNode(boneName))
+    .filter((node) => node != null);
+}
+
+/**
+ * Returns a copy of a clip containing only the tracks that animate the masked bones.
+ * Works on retargeted and VRMA clips, whose tracks target normalized bone nodes.
+ *
+ * @param {THREE.AnimationClip} clip The clip to filter
+ * @param {VRM} vrm A target VRM
+ * @param {string[]} [boneNames] VRM humanoid bone names, e.g. from BoneMasks; all of them if omitted
+ * @returns {THREE.AnimationClip} The masked clip
+ */
+export function createMaskedClip(clip, vrm, boneNames = BoneMasks.fullBody) {
+  const nodeNames = new Set(getMaskNodes(vrm, boneNames).map((node) => node.name));
+  const tracks = clip.tracks
+    .filter((track) =>
+      nodeNames.has(THREE.PropertyBinding.parseTrackName(track.name).nodeName)
+    )
+    .map((track) => track.clone());
+  return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+}
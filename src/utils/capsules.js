@@ -0,0 +1,78 @@
+import * as THREE from "three";
+
+const _d1 = new THREE.Vector3();
+const _d2 = new THREE.Vector3();
+const _r = new THREE.Vector3();
+
+/**
+ * Finds the closest points between two line segments.
+ * @param {THREE.Vector3} p1 - Start of the first segment.
+ * @param {THREE.Vector3} q1 - End of the first segment.
+ * @param {THREE.Vector3} p2 - Start of the second segment.
+ * @param {THREE.Vector3} q2 - End of the second segment.
+ * @param {THREE.Vector3} target1 - Receives the closest point on the first segment.
+ * @param {THREE.Vector3} target2 - Receives the closest point on the second segment.
+ * @returns {number} The distance between the two points.
+ */
+export function closestPointsBetweenSegments(p1, q1, p2, q2, target1, target2) {
+  const d1 = _d1.subVectors(q1, p1);
+  const d2 = _d2.subVectors(q2, p2);
+  const r = _r.subVectors(p1, p2);
+  const a = d1.lengthSq();
+  const e = d2.lengthSq();
+  const f = d2.dot(r);
+  const epsilon = 1e-10;
+
+  let s = 0;
+  let t = 0;
+  if (a <= epsilon && e <= epsilon) {
+    // Both segments are points
+  } else if (a <= epsilon) {
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = d1.dot(r);
+    if (e <= epsilon) {
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denominator = a * e - b * b;
+      // Parallel segments have no single closest pair; any s works, so start at 0.
+      s =
+        denominator > epsilon
+          ? THREE.MathUtils.clamp((b * f - c * e) / denominator, 0, 1)
+          : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+
+  target1.copy(p1).addScaledVector(d1, s);
+  target2.copy(p2).addScaledVector(d2, t);
+  return target1.distanceTo(target2);
+}
+
+/**
+ * How far two capsules overlap.
+ * @param {Capsule} capsule1 - A capsule (three/examples/jsm/math/Capsule.js).
+ * @param {Capsule} capsule2 - Another capsule.
+ * @param {THREE.Vector3} point1 - Receives the point on the first capsule's axis closest to the second.
+ * @param {THREE.Vector3} point2 - Receives the point on the second capsule's axis closest to the first.
+ * @returns {number} The overlap (negative while they're apart).
+ */
+export function getCapsulePenetration(capsule1, capsule2, point1, point2) {
+  const distance = closestPointsBetweenSegments(
+    capsule1.start,
+    capsule1.end,
+    capsule2.start,
+    capsule2.end,
+    point1,
+    point2
+  );
+  return capsule1.radius + capsule2.radius - distance;
+}
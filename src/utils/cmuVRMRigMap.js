@@ -0,0 +1,31 @@
+/**
+ * A map from CMU motion capture (BVH-style) joint name to VRM Humanoid bone name
+ */
+export const cmuVRMRigMap = {
+  Hips: "hips",
+  LowerBack: "spine",
+  Spine: "chest",
+  Spine1: "upperChest",
+  Neck: "neck",
+  Head: "head",
+  LeftShoulder: "leftShoulder",
+  LeftArm: "leftUpperArm",
+  LeftForeArm: "leftLowerArm",
+  LeftHand: "leftHand",
+  LThumb: "leftThumbProximal",
+  LeftHandIndex1: "leftIndexProximal",
+  RightShoulder: "rightShoulder",
+  RightArm: "rightUpperArm",
+  RightForeArm: "rightLowerArm",
+  RightHand: "rightHand",
+  RThumb: "rightThumbProximal",
+  RightHandIndex1: "rightIndexProximal",
+  LeftUpLeg: "leftUpperLeg",
+  LeftLeg: "leftLowerLeg",
+  LeftFoot: "leftFoot",
+  LeftToeBase: "leftToes",
+  RightUpLeg: "rightUpperLeg",
+  RightLeg: "rightLowerLeg",
+  RightFoot: "rightFoot",
+  RightToeBase: "rightToes",
+};
@@ -0,0 +1,82 @@
+import * as THREE from "three";
+import { resolveRigProfile } from "./rigProfiles.js";
+
+const _vec3 = new THREE.Vector3();
+const _parentPosition = new THREE.Vector3();
+
+/**
+ * Build a stand-in for a VRM from a source skeleton, so an animation can be
+ * retargeted and exported without loading a real model (e.g. in a Node script).
+ *
+ * The result has just what retargetAnimation and exportVRMAnimation use: a
+ * normalized humanoid whose bones sit at the source rig's rest positions with no
+ * rest rotation, like three-vrm's normalized bones.
+ *
+ * @param {THREE.Object3D} asset A loaded asset containing the source skeleton
+ * @param {object|string} [profile="auto"] A rig profile, a key of rigProfiles, or "auto" to detect it
+ * @param {object} [options]
+ * @param {number} [options.unitScale] Source units to meters. Defaults to 0.01 (centimeters)
+ *   when the hips are more than 10 units high, otherwise 1.
+ * @returns {object} A minimal VRM-like object: { scene, meta, humanoid }
+ */
+export function createReferenceHumanoid(asset, profile = "auto", options = {}) {
+  const rig = resolveRigProfile(profile, asset);
+
+  const axisRotation = new THREE.Quaternion();
+  if (rig.axisRotation) {
+    const [x, y, z] = rig.axisRotation.map(THREE.MathUtils.degToRad);
+    axisRotation.setFromEuler(new THREE.Euler(x, y, z));
+  }
+
+  asset.updateMatrixWorld(true);
+  const worldPosition = (node, target) =>
+    node.getWorldPosition(target).applyQuaternion(axisRotation);
+
+  const hipsSource = asset.getObjectByName(rig.hipsNodeName);
+  const hipsHeight = worldPosition(hipsSource, _vec3).y;
+  const unitScale = options.unitScale ?? (hipsHeight > 10 ? 0.01 : 1);
+
+  const scene = new THREE.Group();
+  const sourceToNode = new Map();
+  const boneNodes = new Map();
+  const normalizedRestPose = {};
+
+  // Parents are created before children because traverse is depth-first.
+  asset.traverse((source) => {
+    const boneName = rig.boneMap[source.name];
+    if (!boneName || boneNodes.has(boneName)) return;
+
+    let sourceParent = source.parent;
+    while (sourceParent && !sourceToNode.has(sourceParent)) {
+      sourceParent = sourceParent.parent;
+    }
+    const parentNode = sourceParent ? sourceToNode.get(sourceParent) : scene;
+
+    worldPosition(source, _vec3);
+    if (sourceParent) {
+      _vec3.sub(worldPosition(sourceParent, _parentPosition));
+    }
+    _vec3.multiplyScalar(unitScale);
+
+    const node = new THREE.Object3D();
+    node.name = `Normalized_${boneName}`;
+    node.position.copy(_vec3);
+    parentNode.add(node);
+
+    sourceToNode.set(source, node);
+    boneNodes.set(boneName, node);
+    normalizedRestPose[boneName] = {
+      position: node.position.toArray(),
+      rotation: [0, 0, 0, 1],
+    };
+  });
+
+  return {
+    scene,
+    meta: { metaVersion: "1" },
+    humanoid: {
+      normalizedRestPose,
+      getNormalizedBoneNode: (boneName) => boneNodes.get(boneName) ?? null,
+    },
+  };
+}
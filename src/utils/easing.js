@@ -0,0 +1,50 @@
+/**
+ * Easing functions mapping progress in [0, 1] to eased progress, by name so they
+ * can be referenced from JSON (e.g. expression sequence keyframes).
+ */
+export const Easing = {
+  linear: (t) => t,
+  step: (t) => (t < 1 ? 0 : 1),
+
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+
+  easeInSine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+
+  easeInExpo: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+  easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+
+  // Overshoots slightly before settling
+  easeOutBack: (t) => {
+    const c1 = 1.70158;
+    const c3 = c1 + 1;
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+  },
+  easeOutElastic: (t) => {
+    if (t === 0 || t === 1) return t;
+    return (
+      Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1
+    );
+  },
+};
+
+/**
+ * Resolves an easing given by name or as a function.
+ * @param {string|function(number): number} [easing="linear"] An Easing name or a function
+ * @returns {function(number): number} The easing function
+ */
+export function getEasing(easing = "linear") {
+  if (typeof easing === "function") return easing;
+  if (!Easing[easing]) {
+    throw new Error(`Unknown easing "${easing}"`);
+  }
+  return Easing[easing];
+}
@@ -0,0 +1,186 @@
+import * as THREE from "three";
+import { VRMExpressionPresetName } from "@pixiv/three-vrm";
+import { clipExpressionTargetName } from "./expressionTracks.js";
+import { writeGLB } from "./glb.js";
+
+const presetExpressionNames = new Set(Object.values(VRMExpressionPresetName));
+
+/**
+ * Export an AnimationClip made for a VRM (e.g. by retargetAnimation or loadVRMAnimation)
+ * as a VRM Animation (.vrma) file, or as a plain glTF holding only the skeleton and animation.
+ *
+ * Humanoid rotations, the hips translation, expression weights and the lookAt
+ * rotation are written; the VRM's normalized rest pose becomes the file's rest pose.
+ * The result is a binary glTF (GLB), which is what .vrma files are.
+ *
+ * @param {THREE.AnimationClip} clip The clip to export
+ * @param {VRM} vrm The VRM the clip was made for
+ * @param {object} [options]
+ * @param {boolean} [options.vrmExtension=true] Whether to write the VRMC_vrm_animation extension (.vrma)
+ * @returns {ArrayBuffer} The GLB file contents
+ */
+export function exportVRMAnimation(clip, vrm, options = {}) {
+  const { vrmExtension = true } = options;
+
+  // VRM 0.0 clips are mirrored on X and Z by the loaders; files are always VRM 1.0 oriented.
+  const flip = vrm.meta?.metaVersion === "0";
+
+  const builder = new GLBBuilder();
+  const json = {
+    asset: { version: "2.0", generator: "threejs-vrm-test exportVRMAnimation" },
+    scene: 0,
+    scenes: [{ nodes: [] }],
+    nodes: [],
+    animations: [{ name: clip.name, channels: [], samplers: [] }],
+  };
+  const extension = {
+    specVersion: "1.0",
+    humanoid: { humanBones: {} },
+    expressions: { preset: {}, custom: {} },
+  };
+
+  // --- Skeleton: one node per humanoid bone, in the normalized rest pose ---
+  const nodeIndexByName = new Map(); // three.js node name -> glTF node index
+  const boneNodes = new Map(); // THREE.Object3D -> glTF node index
+  const restPose = vrm.humanoid.normalizedRestPose;
+
+  for (const boneName of Object.keys(restPose)) {
+    const boneNode = vrm.humanoid.getNormalizedBoneNode(boneName);
+    if (!boneNode) continue;
+    const [x, y, z] = restPose[boneName].position ?? [0, 0, 0];
+    const index = json.nodes.length;
+    json.nodes.push({
+      name: boneName,
+      translation: flip ? [-x, y, -z] : [x, y, z],
+    });
+    nodeIndexByName.set(boneNode.name, index);
+    boneNodes.set(boneNode, index);
+    extension.humanoid.humanBones[boneName] = { node: index };
+  }
+
+  for (const [boneNode, index] of boneNodes) {
+    let parent = boneNode.parent;
+    while (parent && !boneNodes.has(parent)) parent = parent.parent;
+    if (parent) {
+      const parentDef = json.nodes[boneNodes.get(parent)];
+      (parentDef.children ??= []).push(index);
+    } else {
+      json.scenes[0].nodes.push(index);
+    }
+  }
+
+  // --- Expressions and lookAt: extra nodes driven by the matching tracks ---
+  const expressionsByNodeName = new Map(
+    (vrm.expressionManager?.expressions ?? []).map((expression) => [
+      expression.name,
+      expression.expressionName,
+    ])
+  );
+
+  const addNode = (name) => {
+    const index = json.nodes.length;
+    json.nodes.push({ name });
+    json.scenes[0].nodes.push(index);
+    return index;
+  };
+
+  // --- Animation ---
+  const animation = json.animations[0];
+  const addChannel = (nodeIndex, path, times, values, type) => {
+    const input = builder.addAccessor(json, times, "SCALAR", true);
+    const output = builder.addAccessor(json, values, type, false);
+    animation.samplers.push({ input, output, interpolation: "LINEAR" });
+    animation.channels.push({
+      sampler: animation.samplers.length - 1,
+      target: { node: nodeIndex, path },
+    });
+  };
+
+  for (const track of clip.tracks) {
+    const { nodeName, propertyName, propertyIndex } =
+      THREE.PropertyBinding.parseTrackName(track.name);
+    // Clip expression tracks animate a proxy (see expressionTracks.js).
+    const expressionName =
+      nodeName === clipExpressionTargetName && propertyName === "weights"
+        ? propertyIndex
+        : propertyName === "weight"
+        ? expressionsByNodeName.get(nodeName)
+        : undefined;
+
+    if (nodeIndexByName.has(nodeName)) {
+      const nodeIndex = nodeIndexByName.get(nodeName);
+      if (propertyName === "quaternion") {
+        const values = Float32Array.from(track.values, (v, i) =>
+          flip && i % 2 === 0 ? -v : v
+        );
+        addChannel(nodeIndex, "rotation", track.times, values, "VEC4");
+      } else if (propertyName === "position") {
+        const values = Float32Array.from(track.values, (v, i) =>
+          flip && i % 3 !== 1 ? -v : v
+        );
+        addChannel(nodeIndex, "translation", track.times, values, "VEC3");
+      }
+    } else if (expressionName !== undefined) {
+      // VRMA stores expression weights in the X translation of a node.
+      const nodeIndex = addNode(expressionName);
+      const group = presetExpressionNames.has(expressionName) ? "preset" : "custom";
+      extension.expressions[group][expressionName] = { node: nodeIndex };
+      const values = new Float32Array(track.values.length * 3);
+      track.values.forEach((v, i) => (values[i * 3] = v));
+      addChannel(nodeIndex, "translation", track.times, values, "VEC3");
+    } else if (propertyName === "quaternion" && nodeName === "VRMLookAtQuaternionProxy") {
+      const nodeIndex = addNode("lookAt");
+      extension.lookAt = { node: nodeIndex };
+      addChannel(nodeIndex, "rotation", track.times, track.values, "VEC4");
+    }
+  }
+
+  if (vrmExtension) {
+    json.extensionsUsed = ["VRMC_vrm_animation"];
+    json.extensions = { VRMC_vrm_animation: extension };
+  }
+
+  return builder.build(json);
+}
+
+/**
+ * Collects binary data for accessors and packs the result into a GLB container.
+ * @private
+ */
+class GLBBuilder {
+  constructor() {
+    this.chunks = [];
+    this.byteLength = 0;
+  }
+
+  addAccessor(json, array, type, withBounds) {
+    const data = array instanceof Float32Array ? array : Float32Array.from(array);
+    const byteOffset = this.byteLength;
+    this.chunks.push(data);
+    this.byteLength += data.byteLength; // floats keep the 4-byte alignment
+
+    json.bufferViews ??= [];
+    json.accessors ??= [];
+    json.bufferViews.push({ buffer: 0, byteOffset, byteLength: data.byteLength });
+
+    const componentCount = { SCALAR: 1, VEC3: 3, VEC4: 4 }[type];
+    const accessor = {
+      bufferView: json.bufferViews.length - 1,
+      componentType: 5126, // FLOAT
+      count: data.length / componentCount,
+      type,
+    };
+    // Animation inputs must declare their range.
+    if (withBounds) {
+      accessor.min = [data.reduce((a, b) => Math.min(a, b), Infinity)];
+      accessor.max = [data.reduce((a, b) => Math.max(a, b), -Infinity)];
+    }
+    json.accessors.push(accessor);
+    return json.accessors.length - 1;
+  }
+
+  build(json) {
+    json.buffers = [{ byteLength: this.byteLength }];
+    return writeGLB(json, this.chunks);
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Expression override rules with VRM 1.0 semantics: while an expression is showing, it
+ * suppresses blink expressions (`overrideBlink`), eye gaze (`overrideLookAt`) and mouth
+ * shapes (`overrideMouth`). "block" suppresses them completely whenever the expression's
+ * weight is above zero, "blend" in proportion to its weight, "none" not at all.
+ *
+ * The rules live on the VRM's expressions, so three-vrm's expression manager applies the
+ * blink and mouth suppression when the VRM updates; LookAtController applies the gaze one.
+ */
+export const OverrideTypes = ["none", "block", "blend"];
+
+const overrideProperties = ["overrideBlink", "overrideLookAt", "overrideMouth"];
+
+/**
+ * Sets override rules on a VRM's expressions. Properties not given are left as they are,
+ * and expressions the model doesn't have are skipped.
+ * @param {VRMExpressionManager} expressionManager - The VRM's expression manager.
+ * @param {object} rules - Rules by expression name, e.g. `{ happy: { overrideBlink: "blend" } }`.
+ */
+export function setExpressionOverrides(expressionManager, rules) {
+  for (const [name, rule] of Object.entries(rules)) {
+    for (const [property, type] of Object.entries(rule)) {
+      if (!overrideProperties.includes(property)) {
+        throw new Error(`Unknown override "${property}" for expression "${name}"`);
+      }
+      if (!OverrideTypes.includes(type)) {
+        throw new Error(
+          `Invalid ${property} "${type}" for expression "${name}"; expected ${OverrideTypes.join(", ")}`
+        );
+      }
+    }
+    const expression = expressionManager.getExpression(name);
+    if (expression) Object.assign(expression, rule);
+  }
+}
+
+/**
+ * @param {VRMExpressionManager} expressionManager - The VRM's expression manager.
+ * @returns {boolean} Whether any expression of the model overrides anything.
+ */
+export function hasExpressionOverrides(expressionManager) {
+  return expressionManager.expressions.some((expression) =>
+    overrideProperties.some((property) => expression[property] !== "none")
+  );
+}
+
+/**
+ * How much of blinks, gaze and mouth shapes the current expression weights leave,
+ * computed the way three-vrm's expression manager does.
+ * @param {VRMExpressionManager} expressionManager - The VRM's expression manager.
+ * @returns {{blink: number, lookAt: number, mouth: number}} Multipliers from 0 (fully suppressed) to 1.
+ */
+export function getOverrideWeights(expressionManager) {
+  let blink = 1;
+  let lookAt = 1;
+  let mouth = 1;
+  for (const expression of expressionManager.expressions) {
+    blink -= expression.overrideBlinkAmount;
+    lookAt -= expression.overrideLookAtAmount;
+    mouth -= expression.overrideMouthAmount;
+  }
+  return {
+    blink: Math.max(0, blink),
+    lookAt: Math.max(0, lookAt),
+    mouth: Math.max(0, mouth),
+  };
+}
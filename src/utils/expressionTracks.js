@@ -0,0 +1,125 @@
+import * as THREE from "three";
+import { ExpressionSequence } from "../ExpressionSequence.js";
+import { Easing } from "./easing.js";
+
+/**
+ * Expression curves carried by animation clips, e.g. the sad face of `sad.fbx`.
+ *
+ * Clip expression tracks don't animate the VRM's expressions directly: ExpressionController
+ * rebuilds those every frame, and a mixer only writes a value when it changes, so a held
+ * weight would be lost. They animate `weights` of a proxy object in `vrm.scene` instead,
+ * which ExpressionController reads as the base it layers blinks, emotions, lip-sync and
+ * manual expressions on. Because the mixer drives the proxy, cross-fading two clips also
+ * cross-fades their faces.
+ */
+export const clipExpressionTargetName = "ClipExpressions";
+
+/**
+ * Returns the object clip expression tracks animate, adding it to the VRM's scene if needed.
+ * @param {VRM} vrm - The VRM.
+ * @returns {THREE.Object3D} An object whose `weights` maps expression names to the clip weight.
+ */
+export function getClipExpressionTarget(vrm) {
+  let target = vrm.scene.children.find(
+    (child) => child.name === clipExpressionTargetName
+  );
+  if (!target) {
+    target = new THREE.Object3D();
+    target.name = clipExpressionTargetName;
+    target.weights = {};
+    vrm.scene.add(target);
+  }
+  for (const name of Object.keys(vrm.expressionManager?.expressionMap ?? {})) {
+    target.weights[name] ??= 0;
+  }
+  return target;
+}
+
+/**
+ * @param {string} expressionName - An expression name, e.g. "happy".
+ * @returns {string} The name of a track animating that expression on the proxy.
+ */
+export function getClipExpressionTrackName(expressionName) {
+  return `${clipExpressionTargetName}.weights[${expressionName}]`;
+}
+
+/**
+ * Bakes expression curves into keyframe tracks for the proxy. The curves use the
+ * ExpressionSequence format, so a sidecar file can be written like a preset; eased
+ * segments are sampled, linear ones are kept as they are.
+ * @param {object|ExpressionSequence} curves - The curves, as for ExpressionSequence.
+ * @param {number} [sampleRate=30] - Samples per second for eased segments.
+ * @returns {THREE.NumberKeyframeTrack[]} One track per expression.
+ */
+export function createClipExpressionTracks(curves, sampleRate = 30) {
+  const sequence =
+    curves instanceof ExpressionSequence
+      ? curves
+      : new ExpressionSequence(curves, "clip expressions");
+
+  const tracks = [];
+  for (const [name, keyframes] of sequence.tracks) {
+    const times = [];
+    keyframes.forEach((keyframe, i) => {
+      const previous = keyframes[i - 1];
+      if (previous && keyframe.easing !== Easing.linear) {
+        const span = keyframe.time - previous.time;
+        const steps = Math.ceil(span * sampleRate);
+        for (let step = 1; step < steps; step++) {
+          times.push(previous.time + (span * step) / steps);
+        }
+      }
+      times.push(keyframe.time);
+    });
+    const values = times.map((time) => sequence.evaluate(name, time));
+    tracks.push(
+      new THREE.NumberKeyframeTrack(getClipExpressionTrackName(name), times, values)
+    );
+  }
+  return tracks;
+}
+
+/**
+ * Points a clip's VRM expression tracks (as VRMA files create) at the proxy, and adds
+ * expression curves from a sidecar file. Curves replace clip tracks of the same expression.
+ * @param {THREE.AnimationClip} clip - The clip.
+ * @param {VRM} vrm - The VRM the clip was created for.
+ * @param {object} [curves] - Extra curves, as for createClipExpressionTracks.
+ * @returns {THREE.AnimationClip} The clip itself if nothing changed, otherwise a new clip.
+ */
+export function applyClipExpressions(clip, vrm, curves) {
+  const expressionsByNodeName = new Map(
+    (vrm.expressionManager?.expressions ?? []).map((expression) => [
+      expression.name,
+      expression.expressionName,
+    ])
+  );
+  const extraTracks = curves ? createClipExpressionTracks(curves) : [];
+  const replaced = new Set(extraTracks.map((track) => track.name));
+
+  let changed = extraTracks.length > 0;
+  const tracks = [];
+  for (const track of clip.tracks) {
+    const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(
+      track.name
+    );
+    if (propertyName !== "weight" || !expressionsByNodeName.has(nodeName)) {
+      tracks.push(track);
+      continue;
+    }
+    changed = true;
+    const name = getClipExpressionTrackName(expressionsByNodeName.get(nodeName));
+    if (replaced.has(name)) continue;
+    const redirected = track.clone();
+    redirected.name = name;
+    tracks.push(redirected);
+  }
+  if (!changed) return clip;
+
+  return new THREE.AnimationClip(
+    clip.name,
+    clip.duration,
+    [...tracks, ...extraTracks],
+    clip.blendMode
+  );
+}
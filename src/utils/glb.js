@@ -0,0 +1,54 @@
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a; // "JSON"
+const CHUNK_BIN = 0x004e4942; // "BIN"
+
+/**
+ * Packs glTF JSON and its binary buffer into a binary glTF (GLB) container, the format
+ * of .vrm and .vrma files.
+ *
+ * @param {object} json The glTF JSON
+ * @param {?(ArrayBuffer|ArrayBufferView)[]} binary The parts of the binary buffer, in order,
+ *   or null for a file without one
+ * @returns {ArrayBuffer} The GLB file contents
+ */
+export function writeGLB(json, binary) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const parts = (binary ?? []).map((part) =>
+    ArrayBuffer.isView(part)
+      ? new Uint8Array(part.buffer, part.byteOffset, part.byteLength)
+      : new Uint8Array(part)
+  );
+  const jsonLength = align4(jsonBytes.length);
+  const binLength = align4(parts.reduce((sum, part) => sum + part.length, 0));
+  const totalLength = 12 + 8 + jsonLength + (binary ? 8 + binLength : 0);
+
+  const glb = new ArrayBuffer(totalLength);
+  const view = new DataView(glb);
+  const bytes = new Uint8Array(glb);
+
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, CHUNK_JSON, true);
+  bytes.set(jsonBytes, 20);
+  bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength); // pad JSON with spaces
+
+  if (binary) {
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, CHUNK_BIN, true);
+    let offset = binStart + 8;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+  }
+
+  return glb;
+}
+
+function align4(length) {
+  return (length + 3) & ~3;
+}
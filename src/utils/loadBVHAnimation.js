@@ -0,0 +1,74 @@
+import * as THREE from "three";
+import { BVHLoader } from "three/examples/jsm/loaders/BVHLoader.js";
+import { retargetAnimation } from "./retargetAnimation.js";
+
+const _vec3 = new THREE.Vector3();
+
+/**
+ * Load BVH motion capture without converting it, wrapped like a loaded FBX so
+ * it can go through retargetAnimation. The rest-pose hips height is stored in
+ * `asset.userData.hipsHeight`.
+ *
+ * @param {string} url A url of BVH data
+ * @param {function(ProgressEvent): void} [onProgress] Download progress callback
+ * @returns {Promise<THREE.Group>} The loaded asset
+ */
+export async function loadBVHAsset(url, onProgress) {
+  const loader = new BVHLoader();
+  const { skeleton, clip } = await loader.loadAsync(url, onProgress);
+  const rootBone = skeleton.bones[0];
+
+  const asset = new THREE.Group();
+  asset.add(rootBone);
+  asset.updateMatrixWorld(true);
+
+  // BVHLoader animates every joint's position with its fixed offset; only the
+  // root actually moves, and the other bones must keep the VRM's proportions.
+  const tracks = clip.tracks.filter(
+    (track) =>
+      track instanceof THREE.QuaternionKeyframeTrack ||
+      track.name === `${rootBone.name}.position`
+  );
+  asset.animations = [new THREE.AnimationClip(clip.name, clip.duration, tracks)];
+
+  // BVH root offsets are often zero, so measure the rest-pose hips height
+  // from the lowest joint (the feet) instead.
+  const rootHeight = rootBone.getWorldPosition(_vec3).y;
+  let lowest = rootHeight;
+  for (const bone of skeleton.bones) {
+    lowest = Math.min(lowest, bone.getWorldPosition(_vec3).y);
+  }
+  asset.userData.hipsHeight = rootHeight - lowest;
+
+  return asset;
+}
+
+/**
+ * Convert a loaded BVH asset (see loadBVHAsset) for three-vrm use.
+ *
+ * @param {THREE.Group} asset A loaded BVH asset
+ * @param {VRM} vrm A target VRM
+ * @param {object|string} [profile="auto"] A rig profile, a key of rigProfiles, or "auto" to detect it
+ * @returns {THREE.AnimationClip} The converted AnimationClip
+ */
+export function retargetBVHAnimation(asset, vrm, profile = "auto") {
+  return retargetAnimation(asset, vrm, profile, {
+    hipsHeight: asset.userData.hipsHeight,
+  });
+}
+
+/**
+ * Load BVH motion capture, convert for three-vrm use, and return it.
+ *
+ * The BVH joint hierarchy is retargeted like an FBX rig: the rig profile
+ * (CMU, Mixamo-style names, ...) is detected from the joint names unless given.
+ *
+ * @param {string} url A url of BVH data
+ * @param {VRM} vrm A target VRM
+ * @param {object|string} [profile="auto"] A rig profile, a key of rigProfiles, or "auto" to detect it
+ * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
+ */
+export async function loadBVHAnimation(url, vrm, profile = "auto") {
+  const asset = await loadBVHAsset(url);
+  return retargetBVHAnimation(asset, vrm, profile);
+}
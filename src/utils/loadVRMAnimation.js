@@ -0,0 +1,65 @@
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import {
+  VRMAnimationLoaderPlugin,
+  VRMLookAtQuaternionProxy,
+  createVRMAnimationClip,
+} from "@pixiv/three-vrm-animation";
+
+/**
+ * Load a VRM Animation (.vrma, the VRMC_vrm_animation glTF extension) without
+ * binding it to a model, e.g. to create clips for several VRMs later.
+ *
+ * @param {string} url A url of VRMA data
+ * @param {function(ProgressEvent): void} [onProgress] Download progress callback
+ * @returns {Promise<VRMAnimation>} The loaded animation
+ */
+export async function loadVRMAnimationAsset(url, onProgress) {
+  const loader = new GLTFLoader();
+  loader.register((parser) => new VRMAnimationLoaderPlugin(parser));
+
+  const gltf = await loader.loadAsync(url, onProgress);
+  const vrmAnimation = gltf.userData.vrmAnimations?.[0];
+
+  if (!vrmAnimation) {
+    throw new Error("No VRM animation found in VRMA file");
+  }
+  return vrmAnimation;
+}
+
+/**
+ * Create a clip for the given VRM from a loaded VRM Animation.
+ *
+ * @param {VRMAnimation} vrmAnimation A loaded animation (see loadVRMAnimationAsset)
+ * @param {VRM} vrm A target VRM
+ * @returns {THREE.AnimationClip} The converted AnimationClip
+ */
+export function createVRMAnimationClipFor(vrmAnimation, vrm) {
+  // The lookAt track animates this proxy, which forwards its rotation to vrm.lookAt.
+  if (
+    vrm.lookAt &&
+    !vrm.scene.children.some((obj) => obj instanceof VRMLookAtQuaternionProxy)
+  ) {
+    const lookAtProxy = new VRMLookAtQuaternionProxy(vrm.lookAt);
+    lookAtProxy.name = "VRMLookAtQuaternionProxy";
+    vrm.scene.add(lookAtProxy);
+  }
+
+  return createVRMAnimationClip(vrmAnimation, vrm);
+}
+
+/**
+ * Load a VRM Animation (.vrma, the VRMC_vrm_animation glTF extension) and
+ * convert it to a clip for the given VRM.
+ *
+ * Unlike Mixamo FBX files, VRMA is already expressed in VRM humanoid bones, so no
+ * retargeting is needed. The clip carries the humanoid tracks plus any expression
+ * and lookAt tracks the file contains.
+ *
+ * @param {string} url A url of VRMA data
+ * @param {VRM} vrm A target VRM
+ * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
+ */
+export async function loadVRMAnimation(url, vrm) {
+  const vrmAnimation = await loadVRMAnimationAsset(url);
+  return createVRMAnimationClipFor(vrmAnimation, vrm);
+}
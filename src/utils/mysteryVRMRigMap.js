@@ -1,57 +0,0 @@
-/**
- * A map from Mixamo rig name to VRM Humanoid bone name
- */
-export const mixamoVRMRigMap = {
-  mixamorigHips: "hips",
-  mixamorigSpine: "spine",
-  mixamorigSpine1: "chest",
-  mixamorigSpine2: "upperChest",
-  mixamorigNeck: "neck",
-  mixamorigHead: "head",
-  mixamorigLeftShoulder: "leftShoulder",
-  mixamorigLeftArm: "leftUpperArm",
-  mixamorigLeftForeArm: "leftLowerArm",
-  mixamorigLeftHand: "leftHand",
-  mixamorigLeftHandThumb1: "leftThumbMetacarpal",
-  mixamorigLeftHandThumb2: "leftThumbProximal",
-  mixamorigLeftHandThumb3: "leftThumbDistal",
-  mixamorigLeftHandIndex1: "leftIndexProximal",
-  mixamorigLeftHandIndex2: "leftIndexIntermediate",
-  mixamorigLeftHandIndex3: "leftIndexDistal",
-  mixamorigLeftHandMiddle1: "leftMiddleProximal",
-  mixamorigLeftHandMiddle2: "leftMiddleIntermediate",
-  mixamorigLeftHandMiddle3: "leftMiddleDistal",
-  mixamorigLeftHandRing1: "leftRingProximal",
-  mixamorigLeftHandRing2: "leftRingIntermediate",
-  mixamorigLeftHandRing3: "leftRingDistal",
-  mixamorigLeftHandPinky1: "leftLittleProximal",
-  mixamorigLeftHandPinky2: "leftLittleIntermediate",
-  mixamorigLeftHandPinky3: "leftLittleDistal",
-  mixamorigRightShoulder: "rightShoulder",
-  mixamorigRightArm: "rightUpperArm",
-  mixamorigRightForeArm: "rightLowerArm",
-  mixamorigRightHand: "rightHand",
-  mixamorigRightHandPinky1: "rightLittleProximal",
-  mixamorigRightHandPinky2: "rightLittleIntermediate",
-  mixamorigRightHandPinky3: "rightLittleDistal",
-  mixamorigRightHandRing1: "rightRingProximal",
-  mixamorigRightHandRing2: "rightRingIntermediate",
-  mixamorigRightHandRing3: "rightRingDistal",
-  mixamorigRightHandMiddle1: "rightMiddleProximal",
-  mixamorigRightHandMiddle2: "rightMiddleIntermediate",
-  mixamorigRightHandMiddle3: "rightMiddleDistal",
-  mixamorigRightHandIndex1: "rightIndexProximal",
-  mixamorigRightHandIndex2: "rightIndexIntermediate",
-  mixamorigRightHandIndex3: "rightIndexDistal",
-  mixamorigRightHandThumb1: "rightThumbMetacarpal",
-  mixamorigRightHandThumb2: "rightThumbProximal",
-  mixamorigRightHandThumb3: "rightThumbDistal",
-  mixamorigLeftUpLeg: "leftUpperLeg",
-  mixamorigLeftLeg: "leftLowerLeg",
-  mixamorigLeftFoot: "leftFoot",
-  mixamorigLeftToeBase: "leftToes",
-  mixamorigRightUpLeg: "rightUpperLeg",
-  mixamorigRightLeg: "rightLowerLeg",
-  mixamorigRightFoot: "rightFoot",
-  mixamorigRightToeBase: "rightToes",
-};
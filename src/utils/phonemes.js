@@ -0,0 +1,183 @@
+/**
+ * Phoneme to viseme tables for ARPAbet (CMUdict, most English TTS) and IPA.
+ *
+ * Each phoneme maps to `{ shapes, dominance }`:
+ * - `shapes`: one viseme weight object (aa, ih, ou, ee, oh) per part of the phoneme;
+ *   diphthongs have two, which split the phoneme's time between them
+ * - `dominance`: how strongly the phoneme holds its shape against its neighbours
+ *   when blending (coarticulation). Lip closures and vowels win over consonants
+ *   that the lips don't really take part in.
+ */
+
+const closed = (dominance = 1.0) => ({ shapes: [{}], dominance });
+const vowel = (...shapes) => ({ shapes, dominance: 0.6 });
+const consonant = (shape, dominance = 0.25) => ({ shapes: [shape], dominance });
+
+/** Silence, pauses and unknown gaps between phonemes. */
+export const silencePhoneme = closed(0.5);
+
+export const arpabetVisemes = {
+  // Vowels
+  AA: vowel({ aa: 1.0 }),
+  AE: vowel({ aa: 0.7, ee: 0.4 }),
+  AH: vowel({ aa: 0.6 }),
+  AO: vowel({ oh: 1.0 }),
+  AW: vowel({ aa: 0.8 }, { ou: 0.7 }),
+  AX: vowel({ aa: 0.4 }),
+  AXR: vowel({ aa: 0.3, oh: 0.3 }),
+  AY: vowel({ aa: 0.8 }, { ih: 0.6 }),
+  EH: vowel({ ee: 0.8 }),
+  ER: vowel({ oh: 0.3, ee: 0.3 }),
+  EY: vowel({ ee: 0.8 }, { ih: 0.5 }),
+  IH: vowel({ ih: 0.7 }),
+  IX: vowel({ ih: 0.5 }),
+  IY: vowel({ ih: 1.0 }),
+  OW: vowel({ oh: 0.8 }, { ou: 0.6 }),
+  OY: vowel({ oh: 0.8 }, { ih: 0.5 }),
+  UH: vowel({ ou: 0.7 }),
+  UW: vowel({ ou: 1.0 }),
+  UX: vowel({ ou: 0.6, ih: 0.2 }),
+  // Lips closed
+  B: closed(),
+  M: closed(),
+  P: closed(),
+  EM: closed(),
+  // Lips rounded or touching the teeth
+  W: consonant({ ou: 0.8 }, 0.6),
+  F: consonant({ ih: 0.2 }, 0.8),
+  V: consonant({ ih: 0.2 }, 0.8),
+  CH: consonant({ ou: 0.4 }, 0.5),
+  JH: consonant({ ou: 0.4 }, 0.5),
+  SH: consonant({ ou: 0.4 }, 0.5),
+  ZH: consonant({ ou: 0.4 }, 0.5),
+  R: consonant({ ou: 0.3 }, 0.35),
+  // The rest mostly take their shape from the neighbouring vowels.
+  D: consonant({ ee: 0.2 }),
+  DH: consonant({ ee: 0.3 }),
+  DX: consonant({ ee: 0.2 }),
+  EL: consonant({ ee: 0.2 }),
+  EN: consonant({ ee: 0.2 }),
+  G: consonant({ aa: 0.25 }),
+  HH: consonant({ aa: 0.3 }, 0.15),
+  K: consonant({ aa: 0.25 }),
+  L: consonant({ ee: 0.2 }),
+  N: consonant({ ee: 0.2 }),
+  NG: consonant({ aa: 0.25 }),
+  NX: consonant({ ee: 0.2 }),
+  Q: consonant({}),
+  S: consonant({ ih: 0.3 }),
+  T: consonant({ ee: 0.2 }),
+  TH: consonant({ ee: 0.3 }),
+  Y: consonant({ ih: 0.5 }, 0.4),
+  Z: consonant({ ih: 0.3 }),
+};
+
+export const ipaVisemes = {
+  // Vowels
+  a: vowel({ aa: 1.0 }),
+  ɑ: vowel({ aa: 1.0 }),
+  ɐ: vowel({ aa: 0.6 }),
+  æ: vowel({ aa: 0.7, ee: 0.4 }),
+  ʌ: vowel({ aa: 0.6 }),
+  ə: vowel({ aa: 0.4 }),
+  ɚ: vowel({ aa: 0.3, oh: 0.3 }),
+  ɜ: vowel({ oh: 0.3, ee: 0.3 }),
+  ɝ: vowel({ oh: 0.3, ee: 0.3 }),
+  e: vowel({ ee: 1.0 }),
+  ɛ: vowel({ ee: 0.8 }),
+  i: vowel({ ih: 1.0 }),
+  ɪ: vowel({ ih: 0.7 }),
+  y: vowel({ ih: 0.5, ou: 0.5 }),
+  ɨ: vowel({ ih: 0.5 }),
+  o: vowel({ oh: 1.0 }),
+  ɔ: vowel({ oh: 0.9 }),
+  ɒ: vowel({ oh: 0.7, aa: 0.3 }),
+  ø: vowel({ oh: 0.6, ee: 0.3 }),
+  œ: vowel({ oh: 0.5, ee: 0.4 }),
+  u: vowel({ ou: 1.0 }),
+  ʊ: vowel({ ou: 0.7 }),
+  ɯ: vowel({ ou: 0.6, ih: 0.2 }),
+  // Diphthongs
+  aɪ: vowel({ aa: 0.8 }, { ih: 0.6 }),
+  aʊ: vowel({ aa: 0.8 }, { ou: 0.7 }),
+  eɪ: vowel({ ee: 0.8 }, { ih: 0.5 }),
+  oʊ: vowel({ oh: 0.8 }, { ou: 0.6 }),
+  əʊ: vowel({ aa: 0.4 }, { ou: 0.6 }),
+  ɔɪ: vowel({ oh: 0.8 }, { ih: 0.5 }),
+  // Lips closed
+  b: closed(),
+  m: closed(),
+  p: closed(),
+  // Lips rounded or touching the teeth
+  w: consonant({ ou: 0.8 }, 0.6),
+  ʍ: consonant({ ou: 0.8 }, 0.6),
+  f: consonant({ ih: 0.2 }, 0.8),
+  v: consonant({ ih: 0.2 }, 0.8),
+  ʃ: consonant({ ou: 0.4 }, 0.5),
+  ʒ: consonant({ ou: 0.4 }, 0.5),
+  tʃ: consonant({ ou: 0.4 }, 0.5),
+  dʒ: consonant({ ou: 0.4 }, 0.5),
+  ɹ: consonant({ ou: 0.3 }, 0.35),
+  r: consonant({ ou: 0.3 }, 0.35),
+  // The rest mostly take their shape from the neighbouring vowels.
+  d: consonant({ ee: 0.2 }),
+  ð: consonant({ ee: 0.3 }),
+  ɾ: consonant({ ee: 0.2 }),
+  g: consonant({ aa: 0.25 }),
+  ɡ: consonant({ aa: 0.25 }),
+  h: consonant({ aa: 0.3 }, 0.15),
+  k: consonant({ aa: 0.25 }),
+  l: consonant({ ee: 0.2 }),
+  ɫ: consonant({ ee: 0.2 }),
+  n: consonant({ ee: 0.2 }),
+  ŋ: consonant({ aa: 0.25 }),
+  ʔ: consonant({}),
+  s: consonant({ ih: 0.3 }),
+  t: consonant({ ee: 0.2 }),
+  θ: consonant({ ee: 0.3 }),
+  j: consonant({ ih: 0.5 }, 0.4),
+  z: consonant({ ih: 0.3 }),
+};
+
+// Symbols TTS engines use for silence and pauses
+const silenceSymbols = new Set(["", "sil", "sp", "spn", "pau", "_", "#"]);
+
+// Stress, length, aspiration, syllable and tie marks that don't change the mouth shape
+const ipaModifiers = /[.\u02B0-\u02FF\u0300-\u036F]/g; // modifier letters, combining marks
+
+/**
+ * Whether a phoneme symbol is ARPAbet (letters plus an optional stress digit, e.g. "AH0").
+ * @param {string} symbol
+ * @returns {boolean}
+ */
+export function isArpabet(symbol) {
+  const match = /^([a-zA-Z]+)[0-2]?$/.exec(symbol);
+  return match !== null && match[1].toUpperCase() in arpabetVisemes;
+}
+
+/**
+ * Looks up the viseme shapes of a phoneme.
+ *
+ * @param {string} symbol An ARPAbet or IPA phoneme
+ * @param {string} [alphabet="auto"] "arpabet", "ipa", or "auto" to tell from the symbol
+ * @returns {{shapes: object[], dominance: number}|null} The mapping, or null if the symbol is unknown
+ */
+export function lookupPhoneme(symbol, alphabet = "auto") {
+  const trimmed = symbol.trim();
+  if (silenceSymbols.has(trimmed.toLowerCase())) return silencePhoneme;
+
+  if (alphabet === "arpabet" || (alphabet === "auto" && isArpabet(trimmed))) {
+    return arpabetVisemes[trimmed.replace(/[0-2]$/, "").toUpperCase()] ?? null;
+  }
+
+  const ipa = trimmed.replace(ipaModifiers, "");
+  if (ipaVisemes[ipa]) return ipaVisemes[ipa];
+
+  // Sequences without their own entry (e.g. "ai", "ts") become one part per known symbol.
+  const parts = [...ipa].map((char) => ipaVisemes[char]);
+  if (parts.length === 0 || parts.some((part) => !part)) return null;
+  return {
+    shapes: parts.flatMap((part) => part.shapes),
+    dominance: Math.max(...parts.map((part) => part.dominance)),
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so random
+ * behaviour can be reproduced, e.g. in tests. Without a seed it falls back to Math.random.
+ *
+ * @param {number} [seed] An integer seed
+ * @returns {() => number} A function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  if (seed == null) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,150 @@
+import * as THREE from "three";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { resolveRigProfile } from "./rigProfiles.js";
+
+/**
+ * Convert an animation from a loaded skeleton asset for three-vrm use.
+ *
+ * The asset is left untouched, so the same parsed file can be retargeted onto
+ * several VRMs.
+ *
+ * @param {THREE.Object3D} asset A loaded asset containing the source skeleton and its animations
+ * @param {VRM} vrm A target VRM
+ * @param {object|string} [profile="auto"] A rig profile, a key of rigProfiles, or "auto" to detect it
+ * @param {object} [options]
+ * @param {number} [options.hipsHeight] Height of the source hips above the floor in its rest pose.
+ *   Defaults to the hips bone's rest position, which suits rigs whose hips sit at their rest height (Mixamo).
+ * @returns {THREE.AnimationClip} The converted AnimationClip
+ */
+export function retargetAnimation(asset, vrm, profile = "auto", options = {}) {
+  const rig = resolveRigProfile(profile, asset);
+
+  const clip =
+    (rig.clipName &&
+      THREE.AnimationClip.findByName(asset.animations, rig.clipName)) ||
+    asset.animations[0]; // extract the AnimationClip
+
+  if (!clip) {
+    console.error("No animation clip found in asset");
+    console.log(
+      "Available animations:",
+      asset.animations.map((a) => a.name)
+    );
+    throw new Error("No animation found in file");
+  }
+
+  const hipsObject = asset.getObjectByName(rig.hipsNodeName);
+  if (!hipsObject) {
+    throw new Error(`Invalid ${rig.name} rig: missing hips bone "${rig.hipsNodeName}"`);
+  }
+
+  const tracks = []; // KeyframeTracks compatible with VRM will be added here
+
+  const restRotationInverse = new THREE.Quaternion();
+  const parentRestWorldRotation = new THREE.Quaternion();
+  const _quatA = new THREE.Quaternion();
+  const _vec3 = new THREE.Vector3();
+
+  // Turns the source's axes into three.js' Y-up axes.
+  const axisRotation = new THREE.Quaternion();
+  if (rig.axisRotation) {
+    const [x, y, z] = rig.axisRotation.map(THREE.MathUtils.degToRad);
+    axisRotation.setFromEuler(new THREE.Euler(x, y, z));
+  }
+
+  // Adjust with reference to hips height.
+  const motionHipsHeight =
+    options.hipsHeight ??
+    _vec3.copy(hipsObject.position).applyQuaternion(axisRotation).y;
+  const vrmHipsHeight = vrm.humanoid.normalizedRestPose.hips.position[1];
+  const hipsPositionScale = vrmHipsHeight / motionHipsHeight;
+
+  clip.tracks.forEach((track) => {
+    // Convert each tracks for VRM use, and push to `tracks`
+    const trackSplitted = track.name.split(".");
+    const rigName = trackSplitted[0];
+    const vrmBoneName = rig.boneMap[rigName];
+    const vrmNodeName = vrm.humanoid?.getNormalizedBoneNode(vrmBoneName)?.name;
+    const rigNode = asset.getObjectByName(rigName);
+
+    if (vrmNodeName != null) {
+      const propertyName = trackSplitted[1];
+
+      // Store rotations of rest-pose.
+      rigNode.getWorldQuaternion(restRotationInverse);
+      restRotationInverse.premultiply(axisRotation).invert();
+      rigNode.parent.getWorldQuaternion(parentRestWorldRotation);
+      parentRestWorldRotation.premultiply(axisRotation);
+
+      if (track instanceof THREE.QuaternionKeyframeTrack) {
+        // Retarget rotation of the source rig to NormalizedBone.
+        const values = new Float32Array(track.values.length);
+        for (let i = 0; i < track.values.length; i += 4) {
+          _quatA.fromArray(track.values, i);
+
+          // 親のレスト時ワールド回転 * トラックの回転 * レスト時ワールド回転の逆
+          _quatA
+            .premultiply(parentRestWorldRotation)
+            .multiply(restRotationInverse);
+
+          _quatA.toArray(values, i);
+        }
+
+        tracks.push(
+          new THREE.QuaternionKeyframeTrack(
+            `${vrmNodeName}.${propertyName}`,
+            track.times,
+            values.map((v, i) =>
+              vrm.meta?.metaVersion === "0" && i % 2 === 0 ? -v : v
+            )
+          )
+        );
+      } else if (track instanceof THREE.VectorKeyframeTrack) {
+        const values = new Float32Array(track.values.length);
+        for (let i = 0; i < track.values.length; i += 3) {
+          _vec3.fromArray(track.values, i).applyQuaternion(axisRotation);
+          _vec3.toArray(values, i);
+        }
+        const value = values.map(
+          (v, i) =>
+            (vrm.meta?.metaVersion === "0" && i % 3 !== 1 ? -v : v) *
+            hipsPositionScale
+        );
+        tracks.push(
+          new THREE.VectorKeyframeTrack(
+            `${vrmNodeName}.${propertyName}`,
+            track.times,
+            value
+          )
+        );
+      }
+    }
+  });
+
+  return new THREE.AnimationClip("vrmAnimation", clip.duration, tracks);
+}
+
+/**
+ * Load an FBX file without converting it, e.g. to retarget it onto several VRMs later.
+ *
+ * @param {string} url A url of FBX animation data
+ * @param {function(ProgressEvent): void} [onProgress] Download progress callback
+ * @returns {Promise<THREE.Group>} The loaded asset
+ */
+export async function loadFBXAsset(url, onProgress) {
+  const loader = new FBXLoader(); // A loader which loads FBX
+  return loader.loadAsync(url, onProgress);
+}
+
+/**
+ * Load an FBX animation, convert it for three-vrm use with a rig profile, and return it.
+ *
+ * @param {string} url A url of FBX animation data
+ * @param {VRM} vrm A target VRM
+ * @param {object|string} [profile="auto"] A rig profile, a key of rigProfiles, or "auto" to detect it
+ * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
+ */
+export async function loadRetargetedAnimation(url, vrm, profile = "auto") {
+  const asset = await loadFBXAsset(url);
+  return retargetAnimation(asset, vrm, profile);
+}
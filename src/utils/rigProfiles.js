@@ -0,0 +1,99 @@
+import { mixamoVRMRigMap } from "./mixamoVRMRigMap.js";
+import { unrealVRMRigMap } from "./unrealVRMRigMap.js";
+import { cmuVRMRigMap } from "./cmuVRMRigMap.js";
+
+// Many BVH exporters use Mixamo's bone names without the "mixamorig" prefix.
+const unprefixedMixamoVRMRigMap = Object.fromEntries(
+  Object.entries(mixamoVRMRigMap).map(([name, boneName]) => [
+    name.replace(/^mixamorig/, ""),
+    boneName,
+  ])
+);
+
+/**
+ * Rig-map profiles describing how to retarget a source skeleton onto a VRM.
+ *
+ * - `boneMap`: source bone name -> VRM humanoid bone name
+ * - `hipsNodeName`: the source hips bone, used to scale root motion to the VRM's hips height
+ * - `clipName`: the animation clip to use, or null for the first clip in the file
+ * - `axisRotation`: Euler angles in degrees [x, y, z] that turn the source's axes
+ *   into three.js' Y-up axes, e.g. [-90, 0, 0] for a Z-up file; null if already Y-up
+ */
+export const rigProfiles = {
+  mixamo: {
+    name: "mixamo",
+    boneMap: mixamoVRMRigMap,
+    hipsNodeName: "mixamorigHips",
+    clipName: "mixamo.com",
+    axisRotation: null,
+  },
+  unreal: {
+    name: "unreal",
+    boneMap: unrealVRMRigMap,
+    hipsNodeName: "pelvis",
+    clipName: null,
+    axisRotation: null,
+  },
+  cmu: {
+    name: "cmu",
+    boneMap: cmuVRMRigMap,
+    hipsNodeName: "Hips",
+    clipName: null,
+    axisRotation: null,
+  },
+  bvh: {
+    name: "bvh",
+    boneMap: unprefixedMixamoVRMRigMap,
+    hipsNodeName: "Hips",
+    clipName: null,
+    axisRotation: null,
+  },
+};
+
+/**
+ * Picks the profile whose bone names best match the nodes of a loaded asset.
+ * On a tie the profile listed first in rigProfiles wins.
+ *
+ * @param {THREE.Object3D} asset A loaded animation asset (e.g. from FBXLoader)
+ * @returns {object} The best matching profile
+ */
+export function detectRigProfile(asset) {
+  const nodeNames = new Set();
+  asset.traverse((node) => nodeNames.add(node.name));
+
+  let bestProfile = null;
+  let bestScore = 0;
+  for (const profile of Object.values(rigProfiles)) {
+    if (!nodeNames.has(profile.hipsNodeName)) continue;
+    const score = Object.keys(profile.boneMap).filter((name) =>
+      nodeNames.has(name)
+    ).length;
+    if (score > bestScore) {
+      bestProfile = profile;
+      bestScore = score;
+    }
+  }
+
+  if (!bestProfile) {
+    throw new Error("Could not detect the rig: no known hips bone found");
+  }
+  return bestProfile;
+}
+
+/**
+ * Resolves a profile argument: a profile object, a key of rigProfiles, or "auto".
+ *
+ * @param {object|string} profile The profile or its name
+ * @param {THREE.Object3D} asset The loaded asset, used for "auto" detection
+ * @returns {object} The profile
+ */
+export function resolveRigProfile(profile, asset) {
+  if (profile === "auto") return detectRigProfile(asset);
+  if (typeof profile === "string") {
+    if (!rigProfiles[profile]) {
+      throw new Error(`Unknown rig profile "${profile}"`);
+    }
+    return rigProfiles[profile];
+  }
+  return profile;
+}
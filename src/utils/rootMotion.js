@@ -0,0 +1,119 @@
+import * as THREE from "three";
+
+const _quatA = new THREE.Quaternion();
+const _quatB = new THREE.Quaternion();
+const _identity = new THREE.Quaternion();
+
+/**
+ * Root-motion handling for a clip's hips translation.
+ *
+ * - `"none"`: keep the hips track as-is (the character may drift and snap back on loop)
+ * - `"inPlace"`: pin the hips' horizontal position to its first frame
+ * - `"extract"`: like `"inPlace"`, and return the horizontal motion as a separate
+ *   curve so it can move the whole model instead (see AnimationController)
+ */
+export const RootMotionModes = ["none", "inPlace", "extract"];
+
+/**
+ * Applies root-motion options to a VRM clip (from retargetAnimation, loadVRMAnimation, ...).
+ * The clip is left untouched.
+ *
+ * @param {THREE.AnimationClip} clip The clip to process
+ * @param {VRM} vrm The VRM the clip was made for
+ * @param {object} [options]
+ * @param {string} [options.rootMotion="none"] One of RootMotionModes
+ * @param {boolean} [options.fixLoopSeam] Spread the difference between the last and first
+ *   frame of every track over the clip, so it loops without a pop. Defaults to true
+ *   unless rootMotion is "none".
+ * @returns {{clip: THREE.AnimationClip, rootMotion: THREE.VectorKeyframeTrack|null}}
+ *   The processed clip, and with "extract" the horizontal hips motion relative to the first
+ *   frame, in the VRM scene's local space
+ */
+export function applyRootMotionOptions(clip, vrm, options = {}) {
+  const { rootMotion = "none" } = options;
+  const fixLoopSeam = options.fixLoopSeam ?? rootMotion !== "none";
+
+  if (!RootMotionModes.includes(rootMotion)) {
+    throw new Error(`Unknown root motion mode "${rootMotion}"`);
+  }
+
+  const hipsNodeName = vrm.humanoid?.getNormalizedBoneNode("hips")?.name;
+  let rootMotionTrack = null;
+
+  const tracks = clip.tracks.map((track) => {
+    const result = track.clone();
+    const isHipsPosition =
+      track instanceof THREE.VectorKeyframeTrack &&
+      track.name === `${hipsNodeName}.position`;
+
+    if (isHipsPosition && rootMotion !== "none") {
+      const values = result.values;
+      const startX = values[0];
+      const startZ = values[2];
+
+      if (rootMotion === "extract") {
+        const motion = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i += 3) {
+          motion[i] = values[i] - startX;
+          motion[i + 2] = values[i + 2] - startZ;
+        }
+        rootMotionTrack = new THREE.VectorKeyframeTrack(
+          "rootMotion.position",
+          track.times,
+          motion
+        );
+      }
+
+      for (let i = 0; i < values.length; i += 3) {
+        values[i] = startX;
+        values[i + 2] = startZ;
+      }
+    }
+
+    if (fixLoopSeam) spreadLoopSeam(result);
+    return result;
+  });
+
+  return {
+    clip: new THREE.AnimationClip(clip.name, clip.duration, tracks, clip.blendMode),
+    rootMotion: rootMotionTrack,
+  };
+}
+
+/**
+ * Offsets a track by a growing share of its end-to-start difference, so the last
+ * frame matches the first. Vector and number tracks are shifted linearly; quaternion
+ * tracks are rotated by a slerp towards the difference.
+ * @private
+ */
+function spreadLoopSeam(track) {
+  const { times, values } = track;
+  const size = track.getValueSize();
+  const last = values.length - size;
+  const start = times[0];
+  const length = times[times.length - 1] - start;
+  if (last <= 0 || length <= 0) return;
+
+  if (track instanceof THREE.QuaternionKeyframeTrack) {
+    // seam = first * last^-1, applied fully at the end and not at all at the start
+    const seam = _quatA
+      .fromArray(values, 0)
+      .multiply(_quatB.fromArray(values, last).invert());
+    const correction = new THREE.Quaternion();
+    for (let i = 0; i < times.length; i++) {
+      correction.slerpQuaternions(_identity, seam, (times[i] - start) / length);
+      _quatB.fromArray(values, i * 4).premultiply(correction).normalize();
+      _quatB.toArray(values, i * 4);
+    }
+  } else if (
+    track instanceof THREE.VectorKeyframeTrack ||
+    track instanceof THREE.NumberKeyframeTrack
+  ) {
+    for (let c = 0; c < size; c++) {
+      const seam = values[c] - values[last + c];
+      for (let i = 0; i < times.length; i++) {
+        values[i * size + c] += seam * ((times[i] - start) / length);
+      }
+    }
+  }
+}
@@ -0,0 +1,204 @@
+import * as THREE from "three";
+import { writeGLB } from "./glb.js";
+
+const _offset = new THREE.Vector3();
+
+/**
+ * Groups a VRM's spring bone joints into chains: a joint whose bone hangs off no other
+ * joint's bone starts a chain, and everything below it belongs to that chain (VRM 0.0
+ * springs may branch, so a chain is not always a single strand).
+ *
+ * @param {VRMSpringBoneManager} manager The VRM's springBoneManager
+ * @returns {{name: string, joints: VRMSpringBoneJoint[]}[]} The chains, named after their root bone
+ */
+export function getSpringChains(manager) {
+  const jointsByBone = new Map();
+  for (const joint of manager.joints) jointsByBone.set(joint.bone, joint);
+
+  const chains = new Map();
+  for (const joint of manager.joints) {
+    let root = joint.bone;
+    while (jointsByBone.has(root.parent)) root = root.parent;
+    if (!chains.has(root)) chains.set(root, []);
+    chains.get(root).push(joint);
+  }
+
+  const names = new Map();
+  return [...chains].map(([root, joints], i) => {
+    // Bones can share a name (or have none); keep the labels unique
+    let name = root.name || `Spring ${i}`;
+    const count = names.get(name) ?? 0;
+    names.set(name, count + 1);
+    if (count > 0) name = `${name} (${count + 1})`;
+    return { name, joints: sortByDepth(joints) };
+  });
+}
+
+/**
+ * Names a collider group: its own name (VRM 1.0), or the bone its colliders sit on.
+ *
+ * @param {VRMSpringBoneColliderGroup} group A collider group
+ * @param {number} index The group's index in the manager
+ * @returns {string}
+ */
+export function getColliderGroupName(group, index) {
+  return (
+    group.name || group.colliders[0]?.parent?.name || `Collider Group ${index}`
+  );
+}
+
+/**
+ * The current spring bone settings of a VRM as plain JSON, e.g. to save the result of
+ * tuning them. Bones are referred to by node name; vectors are arrays.
+ *
+ * @param {VRMSpringBoneManager} manager The VRM's springBoneManager
+ * @returns {object} `{ springs: [{ name, joints: [...] }], colliderGroups: [{ name, colliders: [...] }] }`
+ */
+export function serializeSpringBones(manager) {
+  return {
+    springs: getSpringChains(manager).map(({ name, joints }) => ({
+      name,
+      joints: joints.map((joint) => ({
+        node: joint.bone.name,
+        ...serializeJointSettings(joint.settings),
+      })),
+    })),
+    colliderGroups: manager.colliderGroups.map((group, i) => ({
+      name: getColliderGroupName(group, i),
+      colliders: group.colliders.map((collider) => {
+        const { shape } = collider;
+        const json = {
+          node: collider.parent?.name ?? null,
+          type: shape.type,
+          offset: shape.offset.toArray(),
+          radius: shape.radius,
+        };
+        if (shape.type === "capsule") json.tail = shape.tail.toArray();
+        return json;
+      }),
+    })),
+  };
+}
+
+/**
+ * Writes a VRM's current spring bone settings into a copy of the VRM file it was loaded
+ * from. Only the values that can be tuned at runtime (joint settings and collider sizes)
+ * change; everything else in the file is kept as it is.
+ *
+ * For VRM 0.0 files, whose settings are per bone group rather than per joint, each group
+ * takes the settings of its first joint.
+ *
+ * @param {GLTFParser} parser The parser the VRM was loaded with (gltf.parser)
+ * @param {VRMSpringBoneManager} manager The VRM's springBoneManager
+ * @returns {ArrayBuffer} The patched .vrm (GLB) file contents
+ */
+export function exportSpringBonesToVRM(parser, manager) {
+  const json = structuredClone(parser.json);
+  const jointsByNode = new Map();
+  for (const joint of manager.joints) {
+    const index = parser.associations.get(joint.bone)?.nodes;
+    if (index !== undefined) jointsByNode.set(index, joint);
+  }
+  // The manager only knows the collider groups its joints use, in the order they use
+  // them, so colliders are matched to the file's by node and offset instead
+  const collidersByNode = new Map();
+  for (const collider of manager.colliders) {
+    const index = parser.associations.get(collider.parent)?.nodes;
+    if (index === undefined) continue;
+    if (!collidersByNode.has(index)) collidersByNode.set(index, []);
+    collidersByNode.get(index).push(collider);
+  }
+
+  const vrm1 = json.extensions?.VRMC_springBone;
+  const vrm0 = json.extensions?.VRM?.secondaryAnimation;
+  if (vrm1) {
+    for (const spring of vrm1.springs ?? []) {
+      for (const schemaJoint of spring.joints ?? []) {
+        const joint = jointsByNode.get(schemaJoint.node);
+        if (!joint) continue;
+        Object.assign(schemaJoint, serializeJointSettings(joint.settings));
+      }
+    }
+    for (const schemaCollider of vrm1.colliders ?? []) {
+      // The extended shape, where there is one, is what the loader used
+      const shapes = [
+        schemaCollider.extensions?.VRMC_springBone_extended_collider?.shape,
+        schemaCollider.shape,
+      ]
+        .map((shape) => shape?.sphere ?? shape?.capsule)
+        .filter(Boolean);
+      let collider = null;
+      for (const shape of shapes) {
+        _offset.fromArray(shape.offset ?? [0, 0, 0]);
+        collider = takeCollider(collidersByNode, schemaCollider.node, _offset);
+        if (collider) break;
+      }
+      if (!collider) continue;
+      for (const shape of shapes) shape.radius = collider.shape.radius;
+    }
+  } else if (vrm0) {
+    for (const boneGroup of vrm0.boneGroups ?? []) {
+      const joint = jointsByNode.get(boneGroup.bones?.[0]);
+      if (!joint) continue;
+      const { hitRadius, stiffness, gravityPower, gravityDir, dragForce } =
+        joint.settings;
+      Object.assign(boneGroup, {
+        hitRadius,
+        stiffiness: stiffness, // sic, the VRM 0.0 schema's spelling
+        gravityPower,
+        gravityDir: { x: gravityDir.x, y: gravityDir.y, z: gravityDir.z },
+        dragForce,
+      });
+    }
+    for (const schemaGroup of vrm0.colliderGroups ?? []) {
+      for (const schemaCollider of schemaGroup.colliders ?? []) {
+        const { x = 0, y = 0, z = 0 } = schemaCollider.offset ?? {};
+        const collider = takeCollider(
+          collidersByNode,
+          schemaGroup.node,
+          _offset.set(x, y, -z) // z is flipped in VRM 0.0, as the loader does
+        );
+        if (collider) schemaCollider.radius = collider.shape.radius;
+      }
+    }
+  } else {
+    console.warn(
+      "exportSpringBonesToVRM: The file has no spring bones to update"
+    );
+  }
+
+  const body = parser.extensions.KHR_binary_glTF?.body ?? null;
+  return writeGLB(json, body ? [body] : null);
+}
+
+// Removes and returns the collider on a node with an offset, so each is matched once
+function takeCollider(collidersByNode, node, offset) {
+  const colliders = collidersByNode.get(node) ?? [];
+  const index = colliders.findIndex(
+    (collider) => collider.shape.offset.distanceToSquared(offset) < 1e-10
+  );
+  return index === -1 ? null : colliders.splice(index, 1)[0];
+}
+
+function serializeJointSettings(settings) {
+  return {
+    hitRadius: settings.hitRadius,
+    stiffness: settings.stiffness,
+    gravityPower: settings.gravityPower,
+    gravityDir: settings.gravityDir.toArray(),
+    dragForce: settings.dragForce,
+  };
+}
+
+// Parents before children, so chains read from root to tip
+function sortByDepth(joints) {
+  const depth = (joint) => {
+    let d = 0;
+    for (let node = joint.bone; node.parent; node = node.parent) d++;
+    return d;
+  };
+  return joints
+    .map((joint) => ({ joint, depth: depth(joint) }))
+    .sort((a, b) => a.depth - b.depth)
+    .map(({ joint }) => joint);
+}
@@ -0,0 +1,57 @@
+/**
+ * A map from Unreal Engine mannequin (UE4 naming) bone name to VRM Humanoid bone name
+ */
+export const unrealVRMRigMap = {
+  pelvis: "hips",
+  spine_01: "spine",
+  spine_02: "chest",
+  spine_03: "upperChest",
+  neck_01: "neck",
+  head: "head",
+  clavicle_l: "leftShoulder",
+  upperarm_l: "leftUpperArm",
+  lowerarm_l: "leftLowerArm",
+  hand_l: "leftHand",
+  thumb_01_l: "leftThumbMetacarpal",
+  thumb_02_l: "leftThumbProximal",
+  thumb_03_l: "leftThumbDistal",
+  index_01_l: "leftIndexProximal",
+  index_02_l: "leftIndexIntermediate",
+  index_03_l: "leftIndexDistal",
+  middle_01_l: "leftMiddleProximal",
+  middle_02_l: "leftMiddleIntermediate",
+  middle_03_l: "leftMiddleDistal",
+  ring_01_l: "leftRingProximal",
+  ring_02_l: "leftRingIntermediate",
+  ring_03_l: "leftRingDistal",
+  pinky_01_l: "leftLittleProximal",
+  pinky_02_l: "leftLittleIntermediate",
+  pinky_03_l: "leftLittleDistal",
+  clavicle_r: "rightShoulder",
+  upperarm_r: "rightUpperArm",
+  lowerarm_r: "rightLowerArm",
+  hand_r: "rightHand",
+  thumb_01_r: "rightThumbMetacarpal",
+  thumb_02_r: "rightThumbProximal",
+  thumb_03_r: "rightThumbDistal",
+  index_01_r: "rightIndexProximal",
+  index_02_r: "rightIndexIntermediate",
+  index_03_r: "rightIndexDistal",
+  middle_01_r: "rightMiddleProximal",
+  middle_02_r: "rightMiddleIntermediate",
+  middle_03_r: "rightMiddleDistal",
+  ring_01_r: "rightRingProximal",
+  ring_02_r: "rightRingIntermediate",
+  ring_03_r: "rightRingDistal",
+  pinky_01_r: "rightLittleProximal",
+  pinky_02_r: "rightLittleIntermediate",
+  pinky_03_r: "rightLittleDistal",
+  thigh_l: "leftUpperLeg",
+  calf_l: "leftLowerLeg",
+  foot_l: "leftFoot",
+  ball_l: "leftToes",
+  thigh_r: "rightUpperLeg",
+  calf_r: "rightLowerLeg",
+  foot_r: "rightFoot",
+  ball_r: "rightToes",
+};
@@ -0,0 +1,203 @@
+/**
+ * Estimates VRM mouth shapes (visemes) from audio spectra.
+ *
+ * The same estimator runs on live AnalyserNode data and on spectra computed here
+ * from a decoded AudioBuffer, so lip-sync can be worked out offline and tested
+ * without playing anything.
+ */
+
+/** The VRM viseme expressions, for the Japanese vowels a, i, u, e, o. */
+export const Visemes = ["aa", "ih", "ou", "ee", "oh"];
+
+// Rough first and second formants (Hz) of each vowel.
+const vowelFormants = {
+  aa: [800, 1250],
+  ih: [300, 2300],
+  ou: [350, 1350],
+  ee: [500, 1900],
+  oh: [500, 900],
+};
+
+export const defaultVisemeOptions = {
+  // Levels (dB) below noiseFloor are silence; noiseFloor + dynamicRange is fully open.
+  noiseFloor: -70,
+  dynamicRange: 35,
+  // Multiplier for the mouth opening
+  gain: 1.0,
+  // How far (Hz) a formant can be from a vowel's before it stops matching
+  f1Tolerance: 150,
+  f2Tolerance: 400,
+};
+
+/**
+ * Estimates viseme weights from a magnitude spectrum in decibels, as returned by
+ * AnalyserNode.getFloatFrequencyData or computeSpectrum.
+ *
+ * @param {Float32Array} spectrum dB value per frequency bin (fftSize / 2 bins)
+ * @param {number} sampleRate Sample rate of the analysed audio
+ * @param {object} [options] See defaultVisemeOptions
+ * @param {object} [target] Object to write the result into
+ * @returns {{aa: number, ih: number, ou: number, ee: number, oh: number, volume: number}}
+ *   Weights (0-1) that sum to `volume`, the mouth opening
+ */
+export function estimateVisemes(spectrum, sampleRate, options = {}, target = {}) {
+  const config = { ...defaultVisemeOptions, ...options };
+  const binWidth = sampleRate / (spectrum.length * 2);
+
+  // Total power in the voice range, and the power-weighted mean frequency in
+  // the F1 and F2 ranges as stand-ins for the formants.
+  let total = 0;
+  let f1Power = 0;
+  let f1Sum = 0;
+  let f2Power = 0;
+  let f2Sum = 0;
+  for (let i = 1; i < spectrum.length; i++) {
+    const frequency = i * binWidth;
+    if (frequency < 80) continue;
+    if (frequency > 4000) break;
+    const power = Math.pow(10, spectrum[i] / 10);
+    total += power;
+    if (frequency >= 250 && frequency <= 1000) {
+      f1Power += power;
+      f1Sum += power * frequency;
+    }
+    if (frequency >= 800 && frequency <= 2800) {
+      f2Power += power;
+      f2Sum += power * frequency;
+    }
+  }
+
+  const level = total > 0 ? 10 * Math.log10(total) : -Infinity;
+  const volume = clamp01(
+    ((level - config.noiseFloor) / config.dynamicRange) * config.gain
+  );
+
+  for (const viseme of Visemes) target[viseme] = 0;
+  target.volume = volume;
+  if (volume === 0 || f1Power === 0 || f2Power === 0) return target;
+
+  const f1 = f1Sum / f1Power;
+  const f2 = f2Sum / f2Power;
+
+  let scoreSum = 0;
+  for (const viseme of Visemes) {
+    const [vowelF1, vowelF2] = vowelFormants[viseme];
+    const d1 = (f1 - vowelF1) / config.f1Tolerance;
+    const d2 = (f2 - vowelF2) / config.f2Tolerance;
+    const score = Math.exp(-(d1 * d1 + d2 * d2) / 2);
+    target[viseme] = score;
+    scoreSum += score;
+  }
+  for (const viseme of Visemes) {
+    target[viseme] = scoreSum > 0 ? (target[viseme] / scoreSum) * volume : 0;
+  }
+  return target;
+}
+
+/**
+ * Computes a dB magnitude spectrum the way AnalyserNode does (Blackman window,
+ * magnitude divided by fftSize), without smoothing over time.
+ *
+ * @param {Float32Array} samples Mono audio samples
+ * @param {number} offset Index of the first sample of the frame; samples outside the array count as silence
+ * @param {number} fftSize A power of two
+ * @param {Float32Array} [target] fftSize / 2 values to write into
+ * @returns {Float32Array} The spectrum in dB
+ */
+export function computeSpectrum(samples, offset, fftSize, target) {
+  const real = new Float32Array(fftSize);
+  const imag = new Float32Array(fftSize);
+  for (let i = 0; i < fftSize; i++) {
+    const sample = samples[offset + i] ?? 0;
+    const window =
+      0.42 -
+      0.5 * Math.cos((2 * Math.PI * i) / fftSize) +
+      0.08 * Math.cos((4 * Math.PI * i) / fftSize);
+    real[i] = sample * window;
+  }
+
+  fft(real, imag);
+
+  const spectrum = target ?? new Float32Array(fftSize / 2);
+  for (let i = 0; i < fftSize / 2; i++) {
+    const magnitude = Math.hypot(real[i], imag[i]) / fftSize;
+    spectrum[i] = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+  }
+  return spectrum;
+}
+
+/**
+ * Analyses a decoded audio file into a viseme timeline, e.g. for LipSyncController.playBuffer
+ * or for testing offline.
+ *
+ * @param {AudioBuffer} audioBuffer Decoded audio (anything with sampleRate, length,
+ *   numberOfChannels and getChannelData works)
+ * @param {object} [options] See defaultVisemeOptions, plus:
+ * @param {number} [options.fftSize=1024] Analysis window size, a power of two
+ * @param {number} [options.frameRate=60] Frames per second of the timeline
+ * @returns {{frameRate: number, duration: number, frames: object[]}} One estimateVisemes result per frame
+ */
+export function analyseAudioBuffer(audioBuffer, options = {}) {
+  const { fftSize = 1024, frameRate = 60 } = options;
+  const { sampleRate, length, numberOfChannels } = audioBuffer;
+
+  // Mix down to mono.
+  const samples = new Float32Array(length);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) samples[i] += data[i] / numberOfChannels;
+  }
+
+  const duration = length / sampleRate;
+  const frameCount = Math.ceil(duration * frameRate);
+  const spectrum = new Float32Array(fftSize / 2);
+  const frames = [];
+  for (let frame = 0; frame < frameCount; frame++) {
+    // Centre the window on the frame time.
+    const center = Math.round((frame / frameRate) * sampleRate);
+    computeSpectrum(samples, center - fftSize / 2, fftSize, spectrum);
+    frames.push(estimateVisemes(spectrum, sampleRate, options));
+  }
+
+  return { frameRate, duration, frames };
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @private
+ */
+function fft(real, imag) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}